@@ -0,0 +1,258 @@
+/** @module adapters */
+import { IConfigurable } from 'pip-services3-commons-nodex';
+import { ConfigParams } from 'pip-services3-commons-nodex';
+import { BadRequestException } from 'pip-services3-commons-nodex';
+import { NotFoundException } from 'pip-services3-commons-nodex';
+import { ErrorDescriptionFactory } from 'pip-services3-commons-nodex';
+
+import { ILambdaEventAdapter } from './ILambdaEventAdapter';
+
+/**
+ * Adapter that handles API Gateway REST (v1) and HTTP (v2) API proxy events.
+ *
+ * The adapter maps HTTP method and path of the request to a registered action.
+ * Alternatively, the action can be selected by a <code>cmd</code> route parameter,
+ * for instance, in the route <code>ANY /{cmd}</code>.
+ * Query string, JSON body and path parameters are merged into action parameters,
+ * path parameters take precedence. The action name is never taken from the query string or body.
+ * Action results and errors are returned as <code>{statusCode, headers, body}</code>
+ * responses. Error status codes are taken from ApplicationException.
+ *
+ * ### Configuration parameters ###
+ *
+ * - routes:                    map of actions to routes
+ *     - &lt;cmd&gt;:             a route in "&lt;method&gt; &lt;path&gt;" format, i.e. "GET /dummies/{dummy_id}".
+ *                              Method can be omitted or set to "ANY" to match all methods
+ * - options:
+ *     - cmd_parameter:         (optional) name of the route parameter with action name (default: "cmd")
+ *
+ * @see [[LambdaFunction]]
+ *
+ * ### Example ###
+ *
+ *     # config.yml
+ *     - descriptor: "pip-services:event-adapter:apigateway:default:1.0"
+ *       routes:
+ *         get_dummies: "GET /dummies"
+ *         get_dummy_by_id: "GET /dummies/{dummy_id}"
+ *         create_dummy: "POST /dummies"
+ */
+export class ApiGatewayEventAdapter implements ILambdaEventAdapter, IConfigurable {
+    private _routes: ApiGatewayRoute[] = [];
+    private _cmdParameter: string = 'cmd';
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._cmdParameter = config.getAsStringWithDefault('options.cmd_parameter', this._cmdParameter);
+
+        let routes = config.getSection('routes');
+        for (let cmd of routes.getKeys()) {
+            this.registerRoute(cmd, routes.getAsString(cmd));
+        }
+    }
+
+    /**
+     * Registers a route to call an action.
+     *
+     * @param cmd       an action name.
+     * @param route     a route in "&lt;method&gt; &lt;path&gt;" format, i.e. "GET /dummies/{dummy_id}".
+     */
+    public registerRoute(cmd: string, route: string): void {
+        let tokens = route.trim().split(/\s+/);
+        let method = tokens.length > 1 ? tokens[0].toUpperCase() : 'ANY';
+        let path = tokens.length > 1 ? tokens[1] : tokens[0];
+
+        // Convert path template into regular expression
+        let names: string[] = [];
+        let pattern = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+            .replace(/\{([^}\\]+)(\\\+)?\}/g, (match, name, greedy) => {
+                names.push(name);
+                return greedy ? '(.+)' : '([^/]+)';
+            });
+
+        this._routes.push({
+            cmd: cmd,
+            method: method,
+            path: path,
+            regex: new RegExp('^' + pattern + '/?$'),
+            names: names
+        });
+    }
+
+    /**
+     * Checks if the event is API Gateway v1 or v2 proxy event.
+     *
+     * @param event     an incoming event object.
+     * @returns <code>true</code> if the event is recognized and <code>false</code> otherwise.
+     */
+    public canHandle(event: any): boolean {
+        if (event == null || typeof event != 'object' || event.requestContext == null) {
+            return false;
+        }
+
+        // REST API (v1) proxy event
+        if (event.httpMethod != null) {
+            return true;
+        }
+
+        // HTTP API (v2) proxy event
+        return event.version == '2.0' && event.requestContext.http != null;
+    }
+
+    /**
+     * Handles API Gateway proxy event by calling the matching action.
+     *
+     * @param event     an incoming event object.
+     * @param execute   a function that executes an action with "cmd" and its parameters.
+     * @returns a proxy response with status code, headers and JSON body.
+     */
+    public async handle(event: any, execute: (params: any) => Promise<any>): Promise<any> {
+        try {
+            let params = this.composeParams(event);
+            let result = await execute(params);
+
+            if (result == null) {
+                return this.composeResponse(204, null);
+            }
+            return this.composeResponse(200, result);
+        } catch (err) {
+            let error = ErrorDescriptionFactory.create(err);
+            return this.composeResponse(error.status || 500, error);
+        }
+    }
+
+    private composeParams(event: any): any {
+        let v2 = event.version == '2.0';
+        let method: string = v2 ? event.requestContext.http.method : event.httpMethod;
+        let path: string = v2 ? event.rawPath : event.path;
+        let template: string = v2 ? (event.routeKey || '').replace(/^\S+\s+/, '') : event.resource;
+        let headers = this.normalizeHeaders(event.headers);
+        let correlationId = this.getParameter(event.queryStringParameters, 'correlation_id')
+            || headers['x-correlation-id'];
+
+        let pathParams: any = Object.assign({}, event.pathParameters || {});
+
+        // Find the route that matches the request
+        let cmd = pathParams[this._cmdParameter];
+        if (cmd == null) {
+            for (let route of this._routes) {
+                if (route.method != 'ANY' && route.method != method) {
+                    continue;
+                }
+
+                if (template != null && template == route.path) {
+                    cmd = route.cmd;
+                    break;
+                }
+
+                let match = route.regex.exec(path || '');
+                if (match != null) {
+                    cmd = route.cmd;
+                    route.names.forEach((name, index) => {
+                        pathParams[name] = pathParams[name] || this.decodePathSegment(correlationId, path, match[index + 1]);
+                    });
+                    break;
+                }
+            }
+        }
+        delete pathParams[this._cmdParameter];
+
+        if (cmd == null) {
+            throw new NotFoundException(
+                correlationId,
+                'NO_ROUTE',
+                'Route ' + method + ' ' + path + ' was not found'
+            )
+            .withDetails('method', method)
+            .withDetails('path', path);
+        }
+
+        let params: any = {};
+        Object.assign(params, event.queryStringParameters || {});
+
+        // Parse request body
+        let body = this.parseBody(correlationId, event);
+        if (body != null && typeof body == 'object' && !Array.isArray(body)) {
+            Object.assign(params, body);
+        } else if (body != null) {
+            params.body = body;
+        }
+
+        // Path parameters are defined by the route and take precedence
+        Object.assign(params, pathParams);
+
+        params.cmd = cmd;
+        if (correlationId != null) {
+            params.correlation_id = correlationId;
+        }
+
+        return params;
+    }
+
+    private decodePathSegment(correlationId: string, path: string, segment: string): string {
+        try {
+            return decodeURIComponent(segment);
+        } catch (err) {
+            throw new BadRequestException(
+                correlationId,
+                'BAD_PATH',
+                'Request path ' + path + ' is malformed'
+            )
+            .withDetails('path', path)
+            .withCause(err);
+        }
+    }
+
+    private parseBody(correlationId: string, event: any): any {
+        let body = event.body;
+        if (body == null || body == '') {
+            return null;
+        }
+
+        if (event.isBase64Encoded) {
+            body = Buffer.from(body, 'base64').toString('utf8');
+        }
+
+        try {
+            return JSON.parse(body);
+        } catch (err) {
+            throw new BadRequestException(
+                correlationId,
+                'BAD_BODY',
+                'Request body is not a valid JSON'
+            ).withCause(err);
+        }
+    }
+
+    private normalizeHeaders(headers: any): any {
+        let result: any = {};
+        for (let key in headers || {}) {
+            result[key.toLowerCase()] = headers[key];
+        }
+        return result;
+    }
+
+    private getParameter(values: any, name: string): string {
+        return values != null ? values[name] : null;
+    }
+
+    private composeResponse(statusCode: number, body: any): any {
+        return {
+            statusCode: statusCode,
+            headers: { 'Content-Type': 'application/json' },
+            body: body != null ? JSON.stringify(body) : ''
+        };
+    }
+}
+
+interface ApiGatewayRoute {
+    cmd: string;
+    method: string;
+    path: string;
+    regex: RegExp;
+    names: string[];
+}
@@ -0,0 +1,215 @@
+/** @module adapters */
+import { IConfigurable } from 'pip-services3-commons-nodex';
+import { ConfigParams } from 'pip-services3-commons-nodex';
+import { BadRequestException } from 'pip-services3-commons-nodex';
+
+import { ILambdaEventAdapter } from './ILambdaEventAdapter';
+
+/**
+ * Adapter that routes SNS notifications and EventBridge events to registered actions.
+ *
+ * SNS notifications are routed by the "cmd" message attribute or by configured topics.
+ * The message is parsed as JSON and passed as action parameters. A "cmd" field in the message
+ * does not select the action.
+ *
+ * EventBridge events are routed by configured <code>source</code> and <code>detail-type</code>.
+ * The event <code>detail</code> is passed as action parameters.
+ *
+ * Correlation id is taken from "correlation_id" message attribute, then from the message field
+ * and defaults to the message or event id.
+ *
+ * ### Configuration parameters ###
+ *
+ * - sns:                       map of actions to SNS topics
+ *     - &lt;cmd&gt;:             a topic name or ARN, "*" matches all topics
+ * - eventbridge:               map of actions to EventBridge events
+ *     - &lt;cmd&gt;:             an event in "&lt;source&gt;:&lt;detail-type&gt;" format. Detail type can be omitted
+ *                              to match all events from the source, "*" matches any value
+ * - options:
+ *     - cmd_attribute:         (optional) name of SNS message attribute with action name (default: "cmd")
+ *
+ * @see [[LambdaFunction]]
+ *
+ * ### Example ###
+ *
+ *     # config.yml
+ *     - descriptor: "pip-services:event-adapter:router:default:1.0"
+ *       sns:
+ *         create_dummy: "dummies-topic"
+ *       eventbridge:
+ *         update_dummy: "com.mycompany.dummies:Dummy Changed"
+ */
+export class EventSourceRouter implements ILambdaEventAdapter, IConfigurable {
+    private _snsRoutes: { cmd: string, topic: string }[] = [];
+    private _eventRoutes: { cmd: string, source: string, detailType: string }[] = [];
+    private _cmdAttribute: string = 'cmd';
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._cmdAttribute = config.getAsStringWithDefault('options.cmd_attribute', this._cmdAttribute);
+
+        let snsRoutes = config.getSection('sns');
+        for (let cmd of snsRoutes.getKeys()) {
+            this.registerSnsRoute(cmd, snsRoutes.getAsString(cmd));
+        }
+
+        let eventRoutes = config.getSection('eventbridge');
+        for (let cmd of eventRoutes.getKeys()) {
+            let route = eventRoutes.getAsString(cmd);
+            let pos = route.indexOf(':');
+            let source = pos >= 0 ? route.substring(0, pos) : route;
+            let detailType = pos >= 0 ? route.substring(pos + 1) : null;
+            this.registerEventBridgeRoute(cmd, source, detailType);
+        }
+    }
+
+    /**
+     * Registers a route from SNS topic to an action.
+     *
+     * @param cmd       an action name.
+     * @param topic     a topic name or ARN, "*" matches all topics.
+     */
+    public registerSnsRoute(cmd: string, topic: string): void {
+        this._snsRoutes.push({ cmd: cmd, topic: topic });
+    }
+
+    /**
+     * Registers a route from EventBridge events to an action.
+     *
+     * @param cmd           an action name.
+     * @param source        an event source, "*" matches all sources.
+     * @param detailType    (optional) an event detail type, null or "*" matches all types.
+     */
+    public registerEventBridgeRoute(cmd: string, source: string, detailType?: string): void {
+        this._eventRoutes.push({ cmd: cmd, source: source, detailType: detailType });
+    }
+
+    /**
+     * Checks if the event is SNS notification or EventBridge event.
+     *
+     * @param event     an incoming event object.
+     * @returns <code>true</code> if the event is recognized and <code>false</code> otherwise.
+     */
+    public canHandle(event: any): boolean {
+        if (event == null || typeof event != 'object') {
+            return false;
+        }
+
+        return this.isSnsEvent(event) || this.isEventBridgeEvent(event);
+    }
+
+    /**
+     * Handles SNS notification or EventBridge event by calling the matching action.
+     *
+     * @param event     an incoming event object.
+     * @param execute   a function that executes an action with "cmd" and its parameters.
+     * @returns the action result. For SNS notifications it returns a list of results for each record.
+     */
+    public async handle(event: any, execute: (params: any) => Promise<any>): Promise<any> {
+        if (this.isEventBridgeEvent(event)) {
+            let params = this.composeEventBridgeParams(event);
+            return execute(params);
+        }
+
+        let results = [];
+        for (let record of event.Records) {
+            let params = this.composeSnsParams(record.Sns);
+            results.push(await execute(params));
+        }
+        return results;
+    }
+
+    private isSnsEvent(event: any): boolean {
+        return Array.isArray(event.Records) && event.Records.length > 0
+            && event.Records[0].EventSource == 'aws:sns';
+    }
+
+    private isEventBridgeEvent(event: any): boolean {
+        return event['detail-type'] != null && event.source != null && event.detail !== undefined;
+    }
+
+    private composeSnsParams(message: any): any {
+        let attributes = message.MessageAttributes || {};
+        let correlationId = this.getAttribute(attributes, 'correlation_id');
+        let topic: string = message.TopicArn || '';
+        let topicName = topic.substring(topic.lastIndexOf(':') + 1);
+
+        let params: any = {};
+        let body = this.parseMessage(message.Message);
+        if (body != null && typeof body == 'object' && !Array.isArray(body)) {
+            Object.assign(params, body);
+        } else if (body != null) {
+            params.body = body;
+        }
+
+        // The action is selected only by message attributes or configured routes, never by the message itself
+        let cmd = this.getAttribute(attributes, this._cmdAttribute);
+        if (cmd == null) {
+            let route = this._snsRoutes.find(r => r.topic == '*' || r.topic == topic || r.topic == topicName);
+            cmd = route != null ? route.cmd : null;
+        }
+
+        params.correlation_id = correlationId || params.correlation_id || message.MessageId;
+        if (cmd == null) {
+            throw new BadRequestException(
+                params.correlation_id,
+                'NO_ROUTE',
+                'No action is configured for SNS topic ' + topic
+            ).withDetails('topic', topic);
+        }
+        params.cmd = cmd;
+
+        return params;
+    }
+
+    private composeEventBridgeParams(event: any): any {
+        let source: string = event.source;
+        let detailType: string = event['detail-type'];
+
+        let params: any = {};
+        if (event.detail != null && typeof event.detail == 'object') {
+            Object.assign(params, event.detail);
+        } else if (event.detail != null) {
+            params.body = event.detail;
+        }
+
+        let route = this._eventRoutes.find(r => (r.source == '*' || r.source == source)
+            && (r.detailType == null || r.detailType == '*' || r.detailType == detailType));
+
+        params.correlation_id = params.correlation_id || event.id;
+        if (route == null) {
+            throw new BadRequestException(
+                params.correlation_id,
+                'NO_ROUTE',
+                'No action is configured for event ' + source + ':' + detailType
+            )
+            .withDetails('source', source)
+            .withDetails('detail_type', detailType);
+        }
+        params.cmd = route.cmd;
+
+        return params;
+    }
+
+    private parseMessage(message: string): any {
+        if (message == null || message == '') {
+            return null;
+        }
+
+        try {
+            return JSON.parse(message);
+        } catch (err) {
+            // Pass non-JSON messages as they are
+            return message;
+        }
+    }
+
+    private getAttribute(attributes: any, name: string): string {
+        let attribute = attributes[name];
+        return attribute != null ? attribute.Value : null;
+    }
+}
@@ -0,0 +1,27 @@
+/** @module adapters */
+
+/**
+ * An interface for adapters that convert events received from AWS event sources
+ * (API Gateway, SQS, SNS, etc.) into action calls of a lambda function
+ * and convert action results back into responses expected by those sources.
+ *
+ * @see [[LambdaFunction]]
+ */
+export interface ILambdaEventAdapter {
+    /**
+     * Checks if this adapter is able to handle the event.
+     *
+     * @param event     an incoming event object.
+     * @returns <code>true</code> if the event is recognized and <code>false</code> otherwise.
+     */
+    canHandle(event: any): boolean;
+
+    /**
+     * Handles the event by calling registered actions and composes a response.
+     *
+     * @param event     an incoming event object.
+     * @param execute   a function that executes an action with "cmd" and its parameters.
+     * @returns a response to be returned to the event source.
+     */
+    handle(event: any, execute: (params: any) => Promise<any>): Promise<any>;
+}
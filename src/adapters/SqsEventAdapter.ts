@@ -0,0 +1,177 @@
+/** @module adapters */
+import { IConfigurable } from 'pip-services3-commons-nodex';
+import { IReferenceable } from 'pip-services3-commons-nodex';
+import { IReferences } from 'pip-services3-commons-nodex';
+import { ConfigParams } from 'pip-services3-commons-nodex';
+import { BadRequestException } from 'pip-services3-commons-nodex';
+import { CompositeLogger } from 'pip-services3-components-nodex';
+
+import { ILambdaEventAdapter } from './ILambdaEventAdapter';
+
+/**
+ * Adapter that handles batches of SQS messages.
+ *
+ * Each message body is parsed as JSON and dispatched to the action defined
+ * by its "cmd" field or by the configured default command.
+ * Messages are processed with configurable concurrency. Messages from FIFO queues
+ * are processed sequentially to preserve their order.
+ *
+ * IDs of failed messages are returned in the <code>batchItemFailures</code> format,
+ * so only those messages are retried. This requires <code>ReportBatchItemFailures</code>
+ * to be enabled in the event source mapping.
+ *
+ * ### Configuration parameters ###
+ *
+ * - options:
+ *     - default_cmd:           (optional) an action to call when message has no "cmd" field
+ *     - concurrency:           (optional) maximum number of messages processed in parallel (default: 1)
+ *
+ * ### References ###
+ *
+ * - <code>\*:logger:\*:\*:1.0</code>            (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/log.ilogger.html ILogger]] components to log failed messages
+ *
+ * @see [[LambdaFunction]]
+ *
+ * ### Example ###
+ *
+ *     # config.yml
+ *     - descriptor: "pip-services:event-adapter:sqs:default:1.0"
+ *       options:
+ *         default_cmd: "create_dummy"
+ *         concurrency: 5
+ */
+export class SqsEventAdapter implements ILambdaEventAdapter, IConfigurable, IReferenceable {
+    private _defaultCmd: string = null;
+    private _concurrency: number = 1;
+
+    /**
+     * The logger.
+     */
+    protected _logger: CompositeLogger = new CompositeLogger();
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._defaultCmd = config.getAsStringWithDefault('options.default_cmd', this._defaultCmd);
+        this._concurrency = Math.max(1, config.getAsIntegerWithDefault('options.concurrency', this._concurrency));
+    }
+
+    /**
+	 * Sets references to dependent components.
+	 *
+	 * @param references 	references to locate the component dependencies.
+     */
+    public setReferences(references: IReferences): void {
+        this._logger.setReferences(references);
+    }
+
+    /**
+     * Checks if the event is a batch of SQS messages.
+     *
+     * @param event     an incoming event object.
+     * @returns <code>true</code> if the event is recognized and <code>false</code> otherwise.
+     */
+    public canHandle(event: any): boolean {
+        return event != null && Array.isArray(event.Records) && event.Records.length > 0
+            && event.Records[0].eventSource == 'aws:sqs';
+    }
+
+    /**
+     * Handles the batch of SQS messages by calling actions for each message.
+     *
+     * @param event     an incoming event object.
+     * @param execute   a function that executes an action with "cmd" and its parameters.
+     * @returns a response with IDs of failed messages.
+     */
+    public async handle(event: any, execute: (params: any) => Promise<any>): Promise<any> {
+        let records: any[] = event.Records;
+        let failures: string[] = [];
+
+        let fifo = records.some(r => (r.eventSourceARN || '').endsWith('.fifo'));
+        if (fifo) {
+            // Stop on the first failure and return the rest to keep the order
+            for (let index = 0; index < records.length; index++) {
+                let ok = await this.handleRecord(records[index], execute);
+                if (!ok) {
+                    failures.push(...records.slice(index).map(r => r.messageId));
+                    break;
+                }
+            }
+        } else {
+            let next = 0;
+            let worker = async () => {
+                while (next < records.length) {
+                    let record = records[next++];
+                    let ok = await this.handleRecord(record, execute);
+                    if (!ok) {
+                        failures.push(record.messageId);
+                    }
+                }
+            };
+
+            let workers = [];
+            for (let index = 0; index < Math.min(this._concurrency, records.length); index++) {
+                workers.push(worker());
+            }
+            await Promise.all(workers);
+        }
+
+        return {
+            batchItemFailures: failures.map(id => { return { itemIdentifier: id }; })
+        };
+    }
+
+    private async handleRecord(record: any, execute: (params: any) => Promise<any>): Promise<boolean> {
+        let correlationId = this.getAttribute(record, 'correlation_id');
+
+        try {
+            let params = this.composeParams(correlationId, record);
+            correlationId = params.correlation_id;
+
+            await execute(params);
+            return true;
+        } catch (err) {
+            this._logger.error(correlationId, err, "Failed to process SQS message %s", record.messageId);
+            return false;
+        }
+    }
+
+    private composeParams(correlationId: string, record: any): any {
+        let body: any;
+        try {
+            body = record.body != null && record.body != '' ? JSON.parse(record.body) : null;
+        } catch (err) {
+            // Pass non-JSON messages as they are
+            body = record.body;
+        }
+
+        let params: any = {};
+        if (body != null && typeof body == 'object' && !Array.isArray(body)) {
+            Object.assign(params, body);
+        } else if (body != null) {
+            params.body = body;
+        }
+
+        params.cmd = params.cmd || this._defaultCmd;
+        params.correlation_id = params.correlation_id || correlationId;
+
+        if (params.cmd == null) {
+            throw new BadRequestException(
+                params.correlation_id,
+                'NO_COMMAND',
+                'Message ' + record.messageId + ' has no cmd and default cmd is not configured'
+            );
+        }
+
+        return params;
+    }
+
+    private getAttribute(record: any, name: string): string {
+        let attributes = record.messageAttributes || {};
+        let attribute = attributes[name];
+        return attribute != null ? attribute.stringValue : null;
+    }
+}
@@ -0,0 +1,5 @@
+/** @module adapters */
+export { ILambdaEventAdapter } from './ILambdaEventAdapter';
+export { ApiGatewayEventAdapter } from './ApiGatewayEventAdapter';
+export { SqsEventAdapter } from './SqsEventAdapter';
+export { EventSourceRouter } from './EventSourceRouter';
@@ -4,18 +4,42 @@ import { Descriptor } from 'pip-services3-commons-nodex';
 
 import { CloudWatchLogger } from '../log/CloudWatchLogger';
 import { CloudWatchCounters } from '../count/CloudWatchCounters';
+import { CloudWatchEmfCounters } from '../count/CloudWatchEmfCounters';
+import { ApiGatewayEventAdapter } from '../adapters/ApiGatewayEventAdapter';
+import { SqsEventAdapter } from '../adapters/SqsEventAdapter';
+import { EventSourceRouter } from '../adapters/EventSourceRouter';
+import { LambdaDestinationConsumer } from '../clients/LambdaDestinationConsumer';
+import { S3PayloadStore } from '../payloads/S3PayloadStore';
+import { MemoryPayloadStore } from '../payloads/MemoryPayloadStore';
+import { LambdaInvocationManager } from '../containers/LambdaInvocationManager';
 
 /**
  * Creates AWS components by their descriptors.
  * 
  * @see [[CloudWatchLogger]]
  * @see [[CloudWatchCounters]]
+ * @see [[CloudWatchEmfCounters]]
+ * @see [[ApiGatewayEventAdapter]]
+ * @see [[SqsEventAdapter]]
+ * @see [[EventSourceRouter]]
+ * @see [[LambdaDestinationConsumer]]
+ * @see [[S3PayloadStore]]
+ * @see [[MemoryPayloadStore]]
+ * @see [[LambdaInvocationManager]]
  */
 export class DefaultAwsFactory extends Factory {
     public static readonly Descriptor = new Descriptor("pip-services", "factory", "aws", "default", "1.0");
     
 	public static readonly CloudWatchLoggerDescriptor = new Descriptor("pip-services", "logger", "cloudwatch", "*", "1.0");
 	public static readonly CloudWatchCountersDescriptor = new Descriptor("pip-services", "counters", "cloudwatch", "*", "1.0");
+	public static readonly CloudWatchEmfCountersDescriptor = new Descriptor("pip-services", "counters", "cloudwatch-emf", "*", "1.0");
+	public static readonly ApiGatewayEventAdapterDescriptor = new Descriptor("pip-services", "event-adapter", "apigateway", "*", "1.0");
+	public static readonly SqsEventAdapterDescriptor = new Descriptor("pip-services", "event-adapter", "sqs", "*", "1.0");
+	public static readonly EventSourceRouterDescriptor = new Descriptor("pip-services", "event-adapter", "router", "*", "1.0");
+	public static readonly LambdaDestinationConsumerDescriptor = new Descriptor("pip-services", "event-adapter", "destination", "*", "1.0");
+	public static readonly S3PayloadStoreDescriptor = new Descriptor("pip-services", "payload-store", "s3", "*", "1.0");
+	public static readonly MemoryPayloadStoreDescriptor = new Descriptor("pip-services", "payload-store", "memory", "*", "1.0");
+	public static readonly LambdaInvocationManagerDescriptor = new Descriptor("pip-services", "invocation-manager", "default", "*", "1.0");
     
 	/**
 	 * Create a new instance of the factory.
@@ -24,5 +48,13 @@ export class DefaultAwsFactory extends Factory {
         super();
 		this.registerAsType(DefaultAwsFactory.CloudWatchLoggerDescriptor, CloudWatchLogger);
 		this.registerAsType(DefaultAwsFactory.CloudWatchCountersDescriptor, CloudWatchCounters);
+		this.registerAsType(DefaultAwsFactory.CloudWatchEmfCountersDescriptor, CloudWatchEmfCounters);
+		this.registerAsType(DefaultAwsFactory.ApiGatewayEventAdapterDescriptor, ApiGatewayEventAdapter);
+		this.registerAsType(DefaultAwsFactory.SqsEventAdapterDescriptor, SqsEventAdapter);
+		this.registerAsType(DefaultAwsFactory.EventSourceRouterDescriptor, EventSourceRouter);
+		this.registerAsType(DefaultAwsFactory.LambdaDestinationConsumerDescriptor, LambdaDestinationConsumer);
+		this.registerAsType(DefaultAwsFactory.S3PayloadStoreDescriptor, S3PayloadStore);
+		this.registerAsType(DefaultAwsFactory.MemoryPayloadStoreDescriptor, MemoryPayloadStore);
+		this.registerAsType(DefaultAwsFactory.LambdaInvocationManagerDescriptor, LambdaInvocationManager);
 	}
 }
\ No newline at end of file
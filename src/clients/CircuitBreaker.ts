@@ -0,0 +1,175 @@
+/** @module clients */
+import { IConfigurable } from 'pip-services3-commons-nodex';
+import { ConfigParams } from 'pip-services3-commons-nodex';
+
+/**
+ * Circuit breaker that stops calls to a broken target and lets them fail fast.
+ *
+ * The breaker starts "closed" and counts consecutive failures. When the failures
+ * reach the threshold it becomes "open" and rejects all calls. After the open timeout
+ * it becomes "half-open" and lets a limited number of probe calls through.
+ * Successful probes close the breaker, a failed probe opens it again.
+ *
+ * ### Configuration parameters ###
+ *
+ * - options:
+ *     - circuit_breaker:
+ *         - enabled:               (optional) true to enable the circuit breaker (default: false)
+ *         - failure_threshold:     (optional) number of consecutive failures to open the circuit (default: 5)
+ *         - open_timeout:          (optional) time in milliseconds the circuit stays open (default: 30 sec)
+ *         - half_open_probes:      (optional) number of successful probe calls to close the circuit (default: 1)
+ *
+ * @see [[LambdaClient]]
+ *
+ * ### Example ###
+ *
+ *     let breaker = new CircuitBreaker();
+ *     breaker.configure(ConfigParams.fromTuples(
+ *         "options.circuit_breaker.enabled", true,
+ *         "options.circuit_breaker.failure_threshold", 3
+ *     ));
+ *
+ *     if (!breaker.tryAcquire()) {
+ *         throw new Error("Circuit is open");
+ *     }
+ *     try {
+ *         ...
+ *         breaker.recordSuccess();
+ *     } catch (err) {
+ *         breaker.recordFailure();
+ *     }
+ */
+export class CircuitBreaker implements IConfigurable {
+    /**
+     * The circuit is closed and calls are allowed.
+     */
+    public static readonly Closed = "closed";
+    /**
+     * The circuit is open and calls are rejected.
+     */
+    public static readonly Open = "open";
+    /**
+     * The circuit lets probe calls through to check if the target has recovered.
+     */
+    public static readonly HalfOpen = "half-open";
+
+    private _enabled: boolean = false;
+    private _failureThreshold: number = 5;
+    private _openTimeout: number = 30000;
+    private _halfOpenProbes: number = 1;
+
+    private _state: string = CircuitBreaker.Closed;
+    private _failures: number = 0;
+    private _successes: number = 0;
+    private _probes: number = 0;
+    private _openedAt: number = 0;
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._enabled = config.getAsBooleanWithDefault("options.circuit_breaker.enabled", this._enabled);
+        this._failureThreshold = config.getAsIntegerWithDefault("options.circuit_breaker.failure_threshold", this._failureThreshold);
+        this._openTimeout = config.getAsIntegerWithDefault("options.circuit_breaker.open_timeout", this._openTimeout);
+        this._halfOpenProbes = config.getAsIntegerWithDefault("options.circuit_breaker.half_open_probes", this._halfOpenProbes);
+    }
+
+    /**
+     * Checks if the circuit breaker is enabled.
+     *
+     * @returns <code>true</code> if the circuit breaker is enabled.
+     */
+    public isEnabled(): boolean {
+        return this._enabled;
+    }
+
+    /**
+     * Gets the current state of the circuit: "closed", "open" or "half-open".
+     * An open circuit turns into half-open after the open timeout.
+     *
+     * @returns the current circuit state.
+     */
+    public getState(): string {
+        if (this._state == CircuitBreaker.Open && Date.now() - this._openedAt >= this._openTimeout) {
+            this._state = CircuitBreaker.HalfOpen;
+            this._successes = 0;
+            this._probes = 0;
+        }
+        return this._state;
+    }
+
+    /**
+     * Gets time in milliseconds until the open circuit lets probe calls through.
+     *
+     * @returns the remaining open time or 0 if the circuit is not open.
+     */
+    public getRetryAfter(): number {
+        if (this.getState() != CircuitBreaker.Open) {
+            return 0;
+        }
+        return Math.max(0, this._openedAt + this._openTimeout - Date.now());
+    }
+
+    /**
+     * Requests permission to make a call.
+     * Each permitted call shall be followed by [[recordSuccess]] or [[recordFailure]].
+     *
+     * @returns <code>true</code> if the call is allowed and <code>false</code> if it shall fail fast.
+     */
+    public tryAcquire(): boolean {
+        if (!this._enabled) {
+            return true;
+        }
+
+        let state = this.getState();
+        if (state == CircuitBreaker.Open) {
+            return false;
+        }
+
+        if (state == CircuitBreaker.HalfOpen) {
+            if (this._probes + this._successes >= this._halfOpenProbes) {
+                return false;
+            }
+            this._probes++;
+        }
+
+        return true;
+    }
+
+    /**
+     * Records a successful call.
+     */
+    public recordSuccess(): void {
+        if (!this._enabled) {
+            return;
+        }
+
+        if (this._state == CircuitBreaker.HalfOpen) {
+            this._probes = Math.max(0, this._probes - 1);
+            this._successes++;
+            if (this._successes >= this._halfOpenProbes) {
+                this._state = CircuitBreaker.Closed;
+            }
+        }
+        this._failures = 0;
+    }
+
+    /**
+     * Records a failed call.
+     */
+    public recordFailure(): void {
+        if (!this._enabled) {
+            return;
+        }
+
+        this._failures++;
+        if (this._state == CircuitBreaker.HalfOpen || this._failures >= this._failureThreshold) {
+            this._state = CircuitBreaker.Open;
+            this._openedAt = Date.now();
+            this._failures = 0;
+            this._probes = 0;
+        }
+    }
+}
@@ -12,12 +12,47 @@ import { LambdaClient } from './LambdaClient';
  * - connections:                   
  *     - discovery_key:               (optional) a key to retrieve the connection from [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/connect.idiscovery.html IDiscovery]]
  *     - region:                      (optional) AWS region
+ *     - endpoint:                    (optional) custom service endpoint URL
+ *     - uri:                         (optional) alternative to endpoint
+ *     - endpoints.lambda:            (optional) endpoint URL that overrides endpoint for Lambda service
+ *     - endpoints.sts:               (optional) endpoint URL that overrides endpoint for STS when role_arn is set
+ *     - qualifier:                   (optional) function version or alias. It can also be set in the function ARN
  * - credentials:    
  *     - store_key:                   (optional) a key to retrieve the credentials from [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/auth.icredentialstore.html ICredentialStore]]
- *     - access_id:                   AWS access/client id
- *     - access_key:                  AWS access/client id
+ *     - access_id:                   (optional) AWS access/client id
+ *     - access_key:                  (optional) AWS access/client id
+ *     - session_token:               (optional) AWS session token for temporary credentials
+ *     - profile:                     (optional) profile in shared AWS config and credentials files
+ *     - role_arn:                    (optional) ARN of IAM role to assume via STS
+ *     - external_id:                 (optional) external id required to assume the role
  * - options:
  *     - connect_timeout:             (optional) connection timeout in milliseconds (default: 10 sec)
+ *     - timeout:                     (optional) invocation timeout in milliseconds (default: 0 - no timeout)
+ *     - qualifier:                   (optional) function version or alias that overrides the connection qualifier
+ *     - tail_logs:                   (optional) true to request function logs and write them to debug log on failures (default: false)
+ *     - client_context:              (optional) true to pass correlation id, caller name and trace headers in client context (default: false)
+ *     - caller:                      (optional) caller name passed in client context (default: context name)
+ *     - max_retries:                 (optional) maximum number of AWS SDK retries for failed requests (default: 0 when client retries are enabled, SDK default otherwise)
+ *     - keep_alive:                  (optional) true to reuse connections (default: true)
+ *     - max_sockets:                 (optional) maximum number of sockets per host (default: 50)
+ *     - proxy:                       (optional) URL of HTTP(s) proxy server
+ *     - tls:                         (optional) false to use plain HTTP for default endpoints (default: true)
+ *     - reject_unauthorized:         (optional) false to accept self-signed TLS certificates (default: true)
+ *     - force_path_style:            (optional) true to use path-style URLs with custom endpoints (default: false)
+ *     - retries:                     (optional) number of retries for throttled, failed or timed out calls (default: 3)
+ *     - retry_delay:                 (optional) initial delay between retries in milliseconds (default: 100)
+ *     - max_retry_delay:             (optional) maximum delay between retries in milliseconds (default: 10 sec)
+ *     - deadline:                    (optional) total time for a call with all retries in milliseconds, a pending attempt is aborted when it runs out (default: 0 - no deadline)
+ *     - circuit_breaker:
+ *         - enabled:                 (optional) true to fail fast when the function is broken (default: false)
+ *         - failure_threshold:       (optional) number of consecutive failures to open the circuit (default: 5)
+ *         - open_timeout:            (optional) time in milliseconds the circuit stays open (default: 30 sec)
+ *         - half_open_probes:        (optional) number of successful probe calls to close the circuit (default: 1)
+ *     - payload:
+ *         - threshold:               (optional) maximum size in bytes of synchronous payloads before they are offloaded (default: 6 MB)
+ *         - event_threshold:         (optional) maximum size in bytes of asynchronous payloads before they are offloaded (default: 256 KB)
+ * - dependencies:
+ *     - function:                    (optional) descriptor of LambdaFunction or LambdaService in the same container to call locally
  *  
  * ### References ###
  * 
@@ -25,6 +60,8 @@ import { LambdaClient } from './LambdaClient';
  * - <code>\*:counters:\*:\*:1.0</code>          (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/count.icounters.html ICounters]] components to pass collected measurements
  * - <code>\*:discovery:\*:\*:1.0</code>         (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/connect.idiscovery.html IDiscovery]] services to resolve connection
  * - <code>\*:credential-store:\*:\*:1.0</code>  (optional) Credential stores to resolve credentials
+ * - <code>\*:context-info:\*:\*:1.0</code>      (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/classes/info.contextinfo.html ContextInfo]] to detect the caller name
+ * - <code>\*:payload-store:\*:\*:1.0</code>     (optional) [[IPayloadStore]] to offload large requests and responses
  * 
  * @see [[LambdaFunction]]
  * 
@@ -71,13 +108,14 @@ export class CommandableLambdaClient extends LambdaClient {
      * @param cmd               an action name
      * @param correlationId     (optional) transaction id to trace execution through call chain.
      * @param params            command parameters.
+     * @param qualifier         (optional) a function version or alias that overrides the configured one.
      * @return {any}            action result.
      */
-    public async callCommand(cmd: string, correlationId: string, params: any): Promise<any> {
+    public async callCommand(cmd: string, correlationId: string, params: any, qualifier?: string): Promise<any> {
         let command = this._name + '.' + cmd;
         const timing = this.instrument(correlationId, command);
         try {
-            const result = await this.call(command, correlationId, params);
+            const result = await this.call(command, correlationId, params, qualifier);
             timing.endTiming();
             return result;
         } catch (err) {
@@ -7,17 +7,26 @@ import { ConfigParams } from 'pip-services3-commons-nodex';
 import { IdGenerator } from 'pip-services3-commons-nodex';
 import { UnknownException } from 'pip-services3-commons-nodex';
 import { InvocationException } from 'pip-services3-commons-nodex';
+import { ApplicationException } from 'pip-services3-commons-nodex';
 import { DependencyResolver } from 'pip-services3-commons-nodex';
+import { Descriptor } from 'pip-services3-commons-nodex';
 import { CompositeLogger } from 'pip-services3-components-nodex';
 import { CompositeTracer } from 'pip-services3-components-nodex';
 import { CompositeCounters } from 'pip-services3-components-nodex';
+import { ContextInfo } from 'pip-services3-components-nodex';
 import { InstrumentTiming } from "pip-services3-rpc-nodex";
 
-import { Lambda } from 'aws-sdk';
-import { config } from 'aws-sdk';
+import { LambdaClient as AwsLambdaClient } from '@aws-sdk/client-lambda';
+import { InvokeCommand } from '@aws-sdk/client-lambda';
+import { InvocationType } from '@aws-sdk/client-lambda';
 
 import { AwsConnectionParams } from '../connect/AwsConnectionParams';
 import { AwsConnectionResolver } from '../connect/AwsConnectionResolver';
+import { AwsClientConfig } from '../connect/AwsClientConfig';
+import { CircuitBreaker } from './CircuitBreaker';
+import { LambdaErrorConverter } from './LambdaErrorConverter';
+import { PayloadOffloader } from '../payloads/PayloadOffloader';
+import { LambdaInvocationContext } from '../containers/LambdaInvocationContext';
 
 
 /**
@@ -26,24 +35,79 @@ import { AwsConnectionResolver } from '../connect/AwsConnectionResolver';
  * When making calls "cmd" parameter determines which what action shall be called, while
  * other parameters are passed to the action itself.
  * 
+ * Errors returned by the function with <code>FunctionError</code> are restored into the original
+ * ApplicationExceptions and rethrown.
+ * 
+ * Calls failed due to throttling, AWS service errors, timeouts or network errors are retried
+ * with exponential backoff and jitter. Each retry increments "&lt;cmd&gt;.retry_count" counter.
+ * While client retries are enabled, AWS SDK retries are disabled unless "max_retries" is set explicitly,
+ * so failed calls are not retried twice.
+ * A call that failed on timeout or network error may have been executed by the function,
+ * so retries are safe only for idempotent actions. Set "retries" to 0 for other actions.
+ * 
+ * When the circuit breaker is enabled, failed calls and server errors open the circuit
+ * for the target function and the following calls fail fast with CIRCUIT_OPEN error.
+ * The circuit state is reported to "&lt;function&gt;.circuit_state" counter: 0 - closed, 1 - half-open, 2 - open.
+ * 
  * ### Configuration parameters ###
  * 
  * - connections:                   
  *     - discovery_key:               (optional) a key to retrieve the connection from [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/connect.idiscovery.html IDiscovery]]
  *     - region:                      (optional) AWS region
+ *     - endpoint:                    (optional) custom service endpoint URL
+ *     - uri:                         (optional) alternative to endpoint
+ *     - endpoints.lambda:            (optional) endpoint URL that overrides endpoint for Lambda service
+ *     - endpoints.sts:               (optional) endpoint URL that overrides endpoint for STS when role_arn is set
+ *     - qualifier:                   (optional) function version or alias. It can also be set in the function ARN
  * - credentials:    
  *     - store_key:                   (optional) a key to retrieve the credentials from [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/auth.icredentialstore.html ICredentialStore]]
- *     - access_id:                   AWS access/client id
- *     - access_key:                  AWS access/client id
+ *     - access_id:                   (optional) AWS access/client id
+ *     - access_key:                  (optional) AWS access/client id
+ *     - session_token:               (optional) AWS session token for temporary credentials
+ *     - profile:                     (optional) profile in shared AWS config and credentials files
+ *     - role_arn:                    (optional) ARN of IAM role to assume via STS
+ *     - external_id:                 (optional) external id required to assume the role
  * - options:
  *     - connect_timeout:             (optional) connection timeout in milliseconds (default: 10 sec)
+ *     - timeout:                     (optional) invocation timeout in milliseconds (default: 0 - no timeout)
+ *     - qualifier:                   (optional) function version or alias that overrides the connection qualifier
+ *     - tail_logs:                   (optional) true to request function logs and write them to debug log on failures (default: false)
+ *     - client_context:              (optional) true to pass correlation id, caller name and trace headers in client context (default: false)
+ *     - caller:                      (optional) caller name passed in client context (default: context name)
+ *     - max_retries:                 (optional) maximum number of AWS SDK retries for failed requests (default: 0 when client retries are enabled, SDK default otherwise)
+ *     - keep_alive:                  (optional) true to reuse connections (default: true)
+ *     - max_sockets:                 (optional) maximum number of sockets per host (default: 50)
+ *     - proxy:                       (optional) URL of HTTP(s) proxy server
+ *     - tls:                         (optional) false to use plain HTTP for default endpoints (default: true)
+ *     - reject_unauthorized:         (optional) false to accept self-signed TLS certificates (default: true)
+ *     - force_path_style:            (optional) true to use path-style URLs with custom endpoints (default: false)
+ *     - retries:                     (optional) number of retries for throttled, failed or timed out calls (default: 3)
+ *     - retry_delay:                 (optional) initial delay between retries in milliseconds (default: 100)
+ *     - max_retry_delay:             (optional) maximum delay between retries in milliseconds (default: 10 sec)
+ *     - deadline:                    (optional) total time for a call with all retries in milliseconds, a pending attempt is aborted when it runs out (default: 0 - no deadline)
+ *     - circuit_breaker:
+ *         - enabled:                 (optional) true to fail fast when the function is broken (default: false)
+ *         - failure_threshold:       (optional) number of consecutive failures to open the circuit (default: 5)
+ *         - open_timeout:            (optional) time in milliseconds the circuit stays open (default: 30 sec)
+ *         - half_open_probes:        (optional) number of successful probe calls to close the circuit (default: 1)
+ *     - payload:
+ *         - threshold:               (optional) maximum size in bytes of synchronous payloads before they are offloaded (default: 6 MB)
+ *         - event_threshold:         (optional) maximum size in bytes of asynchronous payloads before they are offloaded (default: 256 KB)
+ * - dependencies:
+ *     - function:                    (optional) descriptor of LambdaFunction or LambdaService in the same container to call locally
  *  
+ * When the local function is referenced, the client calls its act() method directly
+ * instead of AWS Lambda. Payloads are still serialized into JSON and errors are returned
+ * the same way as AWS Lambda does, so the client can be tested without AWS.
+ *
  * ### References ###
  * 
  * - <code>\*:logger:\*:\*:1.0</code>            (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/log.ilogger.html ILogger]] components to pass log messages
  * - <code>\*:counters:\*:\*:1.0</code>          (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/count.icounters.html ICounters]] components to pass collected measurements
  * - <code>\*:discovery:\*:\*:1.0</code>         (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/connect.idiscovery.html IDiscovery]] services to resolve connection
  * - <code>\*:credential-store:\*:\*:1.0</code>  (optional) Credential stores to resolve credentials
+ * - <code>\*:context-info:\*:\*:1.0</code>      (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/classes/info.contextinfo.html ContextInfo]] to detect the caller name
+ * - <code>\*:payload-store:\*:\*:1.0</code>     (optional) [[IPayloadStore]] to offload large requests and responses
  * 
  * @see [[LambdaFunction]]
  * @see [[CommandableLambdaClient]]
@@ -74,10 +138,20 @@ import { AwsConnectionResolver } from '../connect/AwsConnectionResolver';
  *     const result = await client.getData("123", "1");
  */
 export abstract class LambdaClient implements IOpenable, IConfigurable, IReferenceable {
+    private static readonly _retryableErrors = [
+        'TooManyRequestsException', 'ThrottlingException', 'ServiceException',
+        'EC2ThrottledException', 'ResourceNotReadyException', 'TimeoutError', 'RequestTimeout',
+        'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'
+    ];
+
     /**
-     * The reference to AWS Lambda Function.
+     * The AWS Lambda client.
      */
-    protected _lambda: any;
+    protected _lambda: AwsLambdaClient;
+    /**
+     * The local function or service called instead of AWS Lambda.
+     */
+    protected _local: any;
     /**
      * The opened flag.
      */
@@ -86,7 +160,6 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
      * The AWS connection parameters
      */
     protected _connection: AwsConnectionParams;
-    private _connectTimeout: number = 10000;
 
     /**
      * The dependencies resolver.
@@ -96,6 +169,10 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
      * The connection resolver.
      */
     protected _connectionResolver: AwsConnectionResolver = new AwsConnectionResolver();
+    /**
+     * The AWS client configuration.
+     */
+    protected _clientConfig: AwsClientConfig = new AwsClientConfig(10000);
     /**
      * The logger.
      */
@@ -108,6 +185,46 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
      * The tracer.
      */
     protected _tracer: CompositeTracer = new CompositeTracer();
+    /**
+     * The number of retries.
+     */
+    protected _retries: number = 3;
+    /**
+     * The initial delay between retries in milliseconds.
+     */
+    protected _retryDelay: number = 100;
+    /**
+     * The maximum delay between retries in milliseconds.
+     */
+    protected _maxRetryDelay: number = 10000;
+    /**
+     * The total time for a call with all retries in milliseconds.
+     */
+    protected _deadline: number = 0;
+    /**
+     * The function version or alias to invoke.
+     */
+    protected _qualifier: string = null;
+    /**
+     * The flag to request the last 4 KB of function logs.
+     */
+    protected _tailLogs: boolean = false;
+    /**
+     * The flag to pass client context to the function.
+     */
+    protected _clientContext: boolean = false;
+    /**
+     * The caller name passed in the client context.
+     */
+    protected _caller: string = null;
+    /**
+     * The circuit breaker for the target function.
+     */
+    protected _circuitBreaker: CircuitBreaker = new CircuitBreaker();
+    /**
+     * The offloader of large payloads.
+     */
+    protected _payloadOffloader: PayloadOffloader = new PayloadOffloader();
 
     /**
      * Configures component by passing configuration parameters.
@@ -117,8 +234,18 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
     public configure(config: ConfigParams): void {
         this._connectionResolver.configure(config);
 		this._dependencyResolver.configure(config);
+        this._clientConfig.configure(config);
 
-        this._connectTimeout = config.getAsIntegerWithDefault('options.connect_timeout', this._connectTimeout);
+        this._retries = config.getAsIntegerWithDefault("options.retries", this._retries);
+        this._retryDelay = config.getAsIntegerWithDefault("options.retry_delay", this._retryDelay);
+        this._maxRetryDelay = config.getAsIntegerWithDefault("options.max_retry_delay", this._maxRetryDelay);
+        this._deadline = config.getAsIntegerWithDefault("options.deadline", this._deadline);
+        this._qualifier = config.getAsStringWithDefault("options.qualifier", this._qualifier);
+        this._tailLogs = config.getAsBooleanWithDefault("options.tail_logs", this._tailLogs);
+        this._clientContext = config.getAsBooleanWithDefault("options.client_context", this._clientContext);
+        this._caller = config.getAsStringWithDefault("options.caller", this._caller);
+        this._circuitBreaker.configure(config);
+        this._payloadOffloader.configure(config);
     }
 
     /**
@@ -131,6 +258,16 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
         this._counters.setReferences(references);
         this._connectionResolver.setReferences(references);
         this._dependencyResolver.setReferences(references);
+        this._payloadOffloader.setReferences(references);
+
+        let local = this._dependencyResolver.getOneOptional<any>("function");
+        this._local = local != null && typeof local.act === "function" ? local : null;
+
+        let contextInfo = references.getOneOptional<ContextInfo>(
+            new Descriptor("pip-services", "context-info", "default", "*", "1.0"));
+        if (contextInfo != null && this._caller == null) {
+            this._caller = contextInfo.name;
+        }
     }
 
     /**
@@ -171,19 +308,22 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
             return;
         }
 
-        this._connection = await this._connectionResolver.resolve(correlationId);
-
-        config.update({
-            accessKeyId: this._connection.getAccessId(),
-            secretAccessKey: this._connection.getAccessKey(),
-            region: this._connection.getRegion()
-        });
+        if (this._local != null) {
+            this._opened = true;
+            this._logger.debug(correlationId, "Lambda client connected to local function");
+            return;
+        }
 
-        config.httpOptions = {
-            timeout: this._connectTimeout
-        };
+        this._connection = await this._connectionResolver.resolve(correlationId);
 
-        this._lambda = new Lambda();
+        let config = this._clientConfig.compose(
+            this._connection, this._connectionResolver.getCredentials(this._connection), "lambda"
+        );
+        // Client retries replace SDK retries to avoid multiplying attempts
+        if (this._retries > 0 && config.maxAttempts == null) {
+            config.maxAttempts = 1;
+        }
+        this._lambda = new AwsLambdaClient(config);
 
         this._opened = true;
         this._logger.debug(correlationId, "Lambda client connected to %s", this._connection.getArn());
@@ -199,6 +339,11 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
         if (!this.isOpen()) {
             return;
         }
+
+        if (this._lambda != null) {
+            this._lambda.destroy();
+            this._lambda = null;
+        }
         this._opened = false;
     }
 
@@ -209,9 +354,11 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
      * @param cmd               an action name to be called.
 	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
      * @param args              action arguments
+     * @param qualifier         (optional) a function version or alias that overrides the configured one.
      * @return {any}            action result.
      */
-    protected async invoke(invocationType: string, cmd: string, correlationId: string, args: any): Promise<any> {
+    protected async invoke(invocationType: string, cmd: string, correlationId: string, args: any,
+        qualifier?: string): Promise<any> {
         if (cmd == null) {
             throw new UnknownException(null, 'NO_COMMAND', 'Missing Seneca pattern cmd');
         }
@@ -220,38 +367,275 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
         args.cmd = cmd;
         args.correlation_id = correlationId || IdGenerator.nextShort();
 
-        let params = {
-            FunctionName: this._connection.getArn(),
-            InvocationType: invocationType,
-            LogType: 'None',
-            Payload: JSON.stringify(args)
-        }                        
+        qualifier = qualifier || this._qualifier || (this._connection != null ? this._connection.getQualifier() : null);
+
+        // Replace large requests with pointers to stored payloads.
+        // Asynchronous payloads may be read again by retries, so they are left to expire in the store.
+        let payload = JSON.stringify(args);
+        let pointer = await this._payloadOffloader.offload(args.correlation_id, payload, invocationType, false);
+        if (pointer != null) {
+            payload = JSON.stringify(pointer);
+        }
+
+        let command = new InvokeCommand({
+            FunctionName: this._connection != null ? this._connection.getUnqualifiedArn() : null,
+            Qualifier: qualifier || undefined,
+            InvocationType: invocationType as InvocationType,
+            LogType: this._tailLogs && invocationType == 'RequestResponse' ? 'Tail' : 'None',
+            ClientContext: this._clientContext ? this.composeClientContext(args.correlation_id) : undefined,
+            Payload: Buffer.from(payload)
+        });
+
+        if (!this._circuitBreaker.tryAcquire()) {
+            await this._payloadOffloader.remove(correlationId, pointer);
+            let target = this.getTargetName();
+            throw new InvocationException(
+                correlationId,
+                'CIRCUIT_OPEN',
+                'Circuit breaker is open for lambda function ' + target
+            )
+            .withDetails('target', target)
+            .withDetails('retry_after', this._circuitBreaker.getRetryAfter());
+        }
+
+        let data: any;
+        try {
+            data = await this.sendWithRetries(cmd, correlationId, command);
+        } catch (err) {
+            this.recordCall(correlationId, err);
+            throw err;
+        } finally {
+            if (invocationType != 'Event') {
+                await this._payloadOffloader.remove(correlationId, pointer);
+            }
+        }
+
+        let result: any = data.Payload != null ? Buffer.from(data.Payload).toString('utf8') : null;
+
+        // Rethrow errors returned by the remote function
+        if (data.FunctionError != null) {
+            let error = this.composeFunctionError(correlationId, result);
+            this.recordCall(correlationId, error);
+            this.logTail(args.correlation_id, data.LogResult);
+            throw error;
+        }
+        this.recordCall(correlationId, null);
+
+        // Asynchronous invocations return only the request id
+        if (invocationType == 'Event') {
+            return data.$metadata != null ? data.$metadata.requestId : null;
+        }
+
+        if (result == null || result == '') {
+            return null;
+        }
 
         try {
-            const data = await this._lambda.invoke(params).promise();
+            result = JSON.parse(result);
+        } catch (err) {
+            throw new InvocationException(
+                correlationId,
+                'DESERIALIZATION_FAILED',
+                'Failed to deserialize result'
+            ).withCause(err);
+        }
+
+        // Load large responses stored by the function
+        return await this._payloadOffloader.resolve(correlationId, result);
+    }
+
+    /**
+     * Composes base64-encoded client context with correlation id, caller name and trace headers.
+     * The function receives it in <code>context.clientContext.custom</code>.
+     * 
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @returns the encoded client context.
+     */
+    protected composeClientContext(correlationId: string): string {
+        let custom: any = {
+            correlation_id: correlationId,
+            caller: this._caller
+        };
+
+        // Propagate X-Ray trace when the client runs inside AWS Lambda
+        let traceId = process.env['_X_AMZN_TRACE_ID'];
+        if (traceId != null) {
+            custom['x-amzn-trace-id'] = traceId;
+        }
+
+        return Buffer.from(JSON.stringify({ custom: custom })).toString('base64');
+    }
+
+    private logTail(correlationId: string, logResult: string): void {
+        if (logResult == null || logResult == '') {
+            return;
+        }
+
+        let logs = Buffer.from(logResult, 'base64').toString('utf8');
+        this._logger.debug(correlationId, "Lambda function %s failed with logs:\n%s", this.getTargetName(), logs);
+    }
+
+    private getTargetName(): string {
+        return this._connection != null ? this._connection.getResource() || this._connection.getArn() : "local";
+    }
+
+    private recordCall(correlationId: string, err: any): void {
+        if (!this._circuitBreaker.isEnabled()) {
+            return;
+        }
+
+        let oldState = this._circuitBreaker.getState();
 
-            let result: any = data.Payload;
+        // Client errors mean the function is alive
+        if (err != null && (err.status == null || err.status >= 500)) {
+            this._circuitBreaker.recordFailure();
+        } else {
+            this._circuitBreaker.recordSuccess();
+        }
+
+        let state = this._circuitBreaker.getState();
+        if (state == oldState) {
+            return;
+        }
+
+        let target = this.getTargetName();
+        let stateCodes = { "closed": 0, "half-open": 1, "open": 2 };
+        this._counters.last(target + ".circuit_state", stateCodes[state]);
+
+        if (state == CircuitBreaker.Open) {
+            this._counters.incrementOne(target + ".circuit_open_count");
+            this._logger.warn(correlationId, "Circuit breaker for %s is open", target);
+        } else {
+            this._logger.info(correlationId, "Circuit breaker for %s is %s", target, state);
+        }
+    }
+
+    private async sendWithRetries(cmd: string, correlationId: string, command: InvokeCommand): Promise<any> {
+        let start = Date.now();
 
-            if (typeof result === "string") {
-                try {
-                    result = JSON.parse(result);
-                } catch (err) {
+        for (let attempt = 0; ; attempt++) {
+            // Abort the attempt when the total deadline runs out
+            let controller = new AbortController();
+            let timer = this._deadline > 0
+                ? setTimeout(() => controller.abort(), Math.max(0, this._deadline - (Date.now() - start)))
+                : null;
+
+            try {
+                return this._local != null
+                    ? await this.invokeLocal(command.input.InvocationType, command.input.Payload, command.input.ClientContext)
+                    : await this._lambda.send(command, { abortSignal: controller.signal });
+            } catch (err) {
+                let delay = this.getRetryDelay(attempt);
+                let expired = controller.signal.aborted
+                    || (this._deadline > 0 && Date.now() + delay - start > this._deadline);
+
+                if (attempt >= this._retries || expired || !this.isRetryable(err)) {
                     throw new InvocationException(
                         correlationId,
-                        'DESERIALIZATION_FAILED',
-                        'Failed to deserialize result'
-                    ).withCause(err);
+                        'CALL_FAILED',
+                        'Failed to invoke lambda function'
+                    )
+                    .withDetails('attempts', attempt + 1)
+                    .withCause(err);
                 }
+
+                this._logger.warn(correlationId, "Retrying %s call in %d ms after error: %s", cmd, delay, err.message);
+                this._counters.incrementOne(cmd + ".retry_count");
+                await new Promise((resolve) => setTimeout(resolve, delay));
+            } finally {
+                clearTimeout(timer);
             }
-            return result;
+        }
+    }
+
+    /**
+     * Calculates delay before the next retry using exponential backoff with full jitter.
+     * 
+     * @param attempt   a zero-based number of the failed attempt.
+     * @returns the delay in milliseconds.
+     */
+    protected getRetryDelay(attempt: number): number {
+        let delay = Math.min(this._maxRetryDelay, this._retryDelay * Math.pow(2, attempt));
+        return Math.floor(Math.random() * delay);
+    }
+
+    /**
+     * Checks if a failed call can be retried.
+     * Throttling, AWS service errors, timeouts and network errors are considered transient.
+     * 
+     * @param err   an error returned by AWS Lambda service.
+     * @returns <code>true</code> if the call can be retried and <code>false</code> otherwise.
+     */
+    protected isRetryable(err: any): boolean {
+        if (err == null) {
+            return false;
+        }
+
+        if (err.$retryable != null) {
+            return true;
+        }
+
+        let status = err.$metadata != null ? err.$metadata.httpStatusCode : null;
+        if (status == 429 || status >= 500) {
+            return true;
+        }
+
+        return LambdaClient._retryableErrors.indexOf(err.name) >= 0
+            || LambdaClient._retryableErrors.indexOf(err.code) >= 0;
+    }
+
+    /**
+     * Restores an error returned by the remote function.
+     * Errors serialized by [[LambdaFunction]] are restored into original ApplicationExceptions,
+     * other errors are converted into UnknownException with FUNCTION_ERROR code.
+     * 
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param payload           an error payload returned by AWS Lambda.
+     * @returns the restored error.
+     */
+    protected composeFunctionError(correlationId: string, payload: string): ApplicationException {
+        return LambdaErrorConverter.toError(correlationId, payload);
+    }
+
+    /**
+     * Invokes the local function the same way as AWS Lambda does.
+     * 
+     * @param invocationType    an invocation type: "RequestResponse" or "Event"
+     * @param payload           serialized action parameters.
+     * @param clientContext     (optional) base64-encoded client context.
+     * @returns an invocation response with serialized result or error.
+     */
+    private async invokeLocal(invocationType: string, payload: any, clientContext?: string): Promise<any> {
+        let params = JSON.parse(Buffer.from(payload).toString('utf8'));
+        let requestId = IdGenerator.nextLong();
+        // Services receive the invocation context directly, without LambdaFunction to wrap it
+        let context = new LambdaInvocationContext({
+            awsRequestId: requestId,
+            clientContext: clientContext != null ? JSON.parse(Buffer.from(clientContext, 'base64').toString('utf8')) : null
+        });
+
+        if (invocationType == 'Event') {
+            this._local.act(params, context).catch((err) => {
+                this._logger.error(params.correlation_id, err, "Failed to execute %s action", params.cmd);
+            });
+            return { StatusCode: 202, $metadata: { requestId: requestId } };
+        }
+
+        try {
+            let result = await this._local.act(params, context);
+            return {
+                StatusCode: 200,
+                Payload: Buffer.from(result !== undefined ? JSON.stringify(result) : '')
+            };
         } catch (err) {
-            throw new InvocationException(
-                correlationId,
-                'CALL_FAILED',
-                'Failed to invoke lambda function'
-            ).withCause(err);
+            // Serialize the error the same way as LambdaFunction
+            return {
+                StatusCode: 200,
+                FunctionError: 'Unhandled',
+                Payload: Buffer.from(JSON.stringify(LambdaErrorConverter.toPayload(err)))
+            };
         }
-    }    
+    }
 
     /**
      * Calls a AWS Lambda Function action.
@@ -259,22 +643,34 @@ export abstract class LambdaClient implements IOpenable, IConfigurable, IReferen
      * @param cmd               an action name to be called.
      * @param correlationId     (optional) transaction id to trace execution through call chain.
      * @param params            (optional) action parameters.
+     * @param qualifier         (optional) a function version or alias that overrides the configured one.
      * @return {any}            action result.
      */
-    protected async call(cmd: string, correlationId: string, params: any = {}): Promise<any> {
-        return this.invoke('RequestResponse', cmd, correlationId, params);
+    protected async call(cmd: string, correlationId: string, params: any = {}, qualifier?: string): Promise<any> {
+        return this.invoke('RequestResponse', cmd, correlationId, params, qualifier);
     }
 
     /**
      * Calls a AWS Lambda Function action asynchronously without waiting for response.
      * 
+     * The result of the call can be tracked by the returned request id
+     * or the idempotency key in Lambda destination records.
+     * 
      * @param cmd               an action name to be called.
      * @param correlationId     (optional) transaction id to trace execution through call chain.
      * @param params            (optional) action parameters.
-     * @return {any}            action result.
+     * @param idempotencyKey    (optional) a key to identify the call, passed as "idempotency_key" parameter.
+     * @param qualifier         (optional) a function version or alias that overrides the configured one.
+     * @return {string}         the invocation request id.
+     * 
+     * @see [[LambdaDestinationConsumer]]
      */
-    protected callOneWay(cmd: string, correlationId: string, params: any = {}): Promise<any> {
-        return this.invoke('Event', cmd, correlationId, params);
+    protected callOneWay(cmd: string, correlationId: string, params: any = {}, idempotencyKey?: string,
+        qualifier?: string): Promise<string> {
+        if (idempotencyKey != null) {
+            params = Object.assign({}, params, { idempotency_key: idempotencyKey });
+        }
+        return this.invoke('Event', cmd, correlationId, params, qualifier);
     }
 
 }
\ No newline at end of file
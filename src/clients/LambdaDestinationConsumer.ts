@@ -0,0 +1,245 @@
+/** @module clients */
+import { IConfigurable } from 'pip-services3-commons-nodex';
+import { IReferenceable } from 'pip-services3-commons-nodex';
+import { IReferences } from 'pip-services3-commons-nodex';
+import { ConfigParams } from 'pip-services3-commons-nodex';
+import { InvocationException } from 'pip-services3-commons-nodex';
+import { CompositeLogger } from 'pip-services3-components-nodex';
+
+import { ILambdaEventAdapter } from '../adapters/ILambdaEventAdapter';
+import { LambdaErrorConverter } from './LambdaErrorConverter';
+
+/**
+ * Consumes AWS Lambda asynchronous invocation records sent to success and failure destinations
+ * and tracks results of calls made by [[LambdaClient.callOneWay]].
+ *
+ * Pending results are identified by the invocation request id or by the idempotency key
+ * passed in the call parameters. When a record arrives, the matching pending result is resolved
+ * with the response payload or rejected with the restored error.
+ *
+ * The consumer is also an event adapter. When a Lambda function is configured as a destination,
+ * it recognizes the records and optionally routes them to configured actions.
+ * Records received from other destinations, like SQS queues or SNS topics, can be passed
+ * to [[process]] method directly.
+ *
+ * ### Configuration parameters ###
+ *
+ * - options:
+ *     - success_cmd:           (optional) action to call with successful invocation records
+ *     - failure_cmd:           (optional) action to call with failed invocation records
+ *     - timeout:               (optional) default timeout in milliseconds to wait for results (default: 60 sec)
+ *     - max_results:           (optional) maximum number of unclaimed results to keep (default: 1000)
+ *
+ * ### References ###
+ *
+ * - <code>\*:logger:\*:\*:1.0</code>    (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/log.ilogger.html ILogger]] components to pass log messages
+ *
+ * @see [[LambdaClient]]
+ * @see [[https://docs.aws.amazon.com/lambda/latest/dg/invocation-async.html#invocation-async-destinations Asynchronous invocation destinations]]
+ *
+ * ### Example ###
+ *
+ *     let consumer = new LambdaDestinationConsumer();
+ *     consumer.setFailureHandler(async (error, record) => {
+ *         console.error("Command failed: " + error.message);
+ *     });
+ *
+ *     let requestId = await client.callOneWay("create_data", "123", { data: data }, "key-123");
+ *     let result = await consumer.waitForResult("key-123");
+ *
+ *     # config.yml
+ *     - descriptor: "pip-services:event-adapter:destination:default:1.0"
+ *       options:
+ *         failure_cmd: "handle_failure"
+ */
+export class LambdaDestinationConsumer implements ILambdaEventAdapter, IConfigurable, IReferenceable {
+    private _successCmd: string = null;
+    private _failureCmd: string = null;
+    private _timeout: number = 60000;
+    private _maxResults: number = 1000;
+
+    private _pending: { [key: string]: { resolve: (value: any) => void, reject: (err: any) => void, timer: any }[] } = {};
+    private _results: { [key: string]: { result: any, error: any } } = {};
+    private _resultKeys: string[] = [];
+    private _failureHandler: (error: any, record: any) => Promise<void> = null;
+
+    /**
+     * The logger.
+     */
+    protected _logger: CompositeLogger = new CompositeLogger();
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._successCmd = config.getAsStringWithDefault("options.success_cmd", this._successCmd);
+        this._failureCmd = config.getAsStringWithDefault("options.failure_cmd", this._failureCmd);
+        this._timeout = config.getAsIntegerWithDefault("options.timeout", this._timeout);
+        this._maxResults = config.getAsIntegerWithDefault("options.max_results", this._maxResults);
+    }
+
+    /**
+	 * Sets references to dependent components.
+	 *
+	 * @param references 	references to locate the component dependencies.
+     */
+    public setReferences(references: IReferences): void {
+        this._logger.setReferences(references);
+    }
+
+    /**
+     * Sets a handler for failed invocations.
+     *
+     * @param handler   a function that receives the restored error and the destination record.
+     */
+    public setFailureHandler(handler: (error: any, record: any) => Promise<void>): void {
+        this._failureHandler = handler;
+    }
+
+    /**
+     * Waits for the result of asynchronous invocation.
+     *
+     * @param key       an invocation request id or idempotency key.
+     * @param timeout   (optional) timeout in milliseconds. By default it uses the configured timeout.
+     * @returns the invocation result.
+     */
+    public waitForResult(key: string, timeout?: number): Promise<any> {
+        let completed = this._results[key];
+        if (completed != null) {
+            delete this._results[key];
+            this._resultKeys = this._resultKeys.filter(k => k != key);
+            return completed.error != null ? Promise.reject(completed.error) : Promise.resolve(completed.result);
+        }
+
+        return new Promise((resolve, reject) => {
+            let waiter = { resolve: resolve, reject: reject, timer: null };
+            waiter.timer = setTimeout(() => {
+                this._pending[key] = (this._pending[key] || []).filter(w => w != waiter);
+                if (this._pending[key].length == 0) {
+                    delete this._pending[key];
+                }
+                reject(new InvocationException(
+                    null,
+                    "RESULT_TIMEOUT",
+                    "Result of asynchronous invocation " + key + " was not received in time"
+                ).withDetails("key", key));
+            }, timeout || this._timeout);
+
+            this._pending[key] = this._pending[key] || [];
+            this._pending[key].push(waiter);
+        });
+    }
+
+    /**
+     * Checks if the event is AWS Lambda destination record.
+     *
+     * @param event     an incoming event object.
+     * @returns <code>true</code> if the event is recognized and <code>false</code> otherwise.
+     */
+    public canHandle(event: any): boolean {
+        return event != null && typeof event == 'object'
+            && event.requestContext != null
+            && event.requestContext.condition != null
+            && event.requestContext.functionArn != null;
+    }
+
+    /**
+     * Handles AWS Lambda destination record and calls the configured action.
+     *
+     * @param event     a destination record.
+     * @param execute   a function that executes an action with "cmd" and its parameters.
+     * @returns the action result or <code>null</code> if no action is configured.
+     */
+    public async handle(event: any, execute: (params: any) => Promise<any>): Promise<any> {
+        let error = await this.process(event);
+
+        let cmd = error != null ? this._failureCmd : this._successCmd;
+        if (cmd == null) {
+            return null;
+        }
+
+        let payload = event.requestPayload || {};
+        return execute({
+            cmd: cmd,
+            correlation_id: payload.correlation_id,
+            record: event
+        });
+    }
+
+    /**
+     * Processes AWS Lambda destination record.
+     * It resolves pending results and passes failures to the failure handler.
+     *
+     * @param record    a destination record.
+     * @returns the restored error for failed invocations and <code>null</code> otherwise.
+     */
+    public async process(record: any): Promise<any> {
+        let context = record.requestContext || {};
+        let response = record.responseContext || {};
+        let payload = record.requestPayload || {};
+        let correlationId = payload.correlation_id;
+
+        let error = null;
+        let result = record.responsePayload !== undefined ? record.responsePayload : null;
+        if (context.condition != 'Success' || response.functionError != null) {
+            error = result != null && result.errorMessage != null
+                ? LambdaErrorConverter.toError(correlationId, result)
+                : new InvocationException(
+                    correlationId,
+                    "ASYNC_CALL_FAILED",
+                    "Asynchronous invocation failed with condition " + context.condition
+                );
+            error = error.withDetails("request_id", context.requestId)
+                .withDetails("condition", context.condition)
+                .withDetails("attempts", context.approximateInvokeCount);
+            result = null;
+        }
+
+        this.complete(context.requestId, result, error);
+        if (payload.idempotency_key != null) {
+            this.complete(payload.idempotency_key, result, error);
+        }
+
+        if (error != null) {
+            this._logger.error(correlationId, error, "Asynchronous invocation %s of %s failed",
+                context.requestId, payload.cmd);
+
+            if (this._failureHandler != null) {
+                await this._failureHandler(error, record);
+            }
+        }
+
+        return error;
+    }
+
+    private complete(key: string, result: any, error: any): void {
+        if (key == null) {
+            return;
+        }
+
+        let waiters = this._pending[key];
+        if (waiters != null) {
+            delete this._pending[key];
+            for (let waiter of waiters) {
+                clearTimeout(waiter.timer);
+                if (error != null) {
+                    waiter.reject(error);
+                } else {
+                    waiter.resolve(result);
+                }
+            }
+            return;
+        }
+
+        // Keep results that arrived before they were requested
+        if (this._results[key] == null) {
+            this._resultKeys.push(key);
+        }
+        this._results[key] = { result: result, error: error };
+        while (this._resultKeys.length > this._maxResults) {
+            delete this._results[this._resultKeys.shift()];
+        }
+    }
+}
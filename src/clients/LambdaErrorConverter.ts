@@ -0,0 +1,76 @@
+/** @module clients */
+import { ApplicationException } from 'pip-services3-commons-nodex';
+import { ApplicationExceptionFactory } from 'pip-services3-commons-nodex';
+import { ErrorDescription } from 'pip-services3-commons-nodex';
+import { ErrorDescriptionFactory } from 'pip-services3-commons-nodex';
+import { UnknownException } from 'pip-services3-commons-nodex';
+
+/**
+ * Helper class to convert errors to and from AWS Lambda error payloads.
+ *
+ * AWS Lambda returns errors as <code>{ errorType, errorMessage, trace }</code>.
+ * To keep all error information, the error message contains serialized
+ * [[https://pip-services3-nodex.github.io/pip-services3-commons-nodex/classes/errors.errordescription.html ErrorDescription]].
+ *
+ * @see [[LambdaFunction]]
+ * @see [[LambdaClient]]
+ */
+export class LambdaErrorConverter {
+
+    /**
+     * Converts an error into AWS Lambda error payload.
+     *
+     * @param err   an error to be converted.
+     * @returns an error payload with serialized ErrorDescription.
+     */
+    public static toPayload(err: any): any {
+        let description = ErrorDescriptionFactory.create(err);
+        return {
+            errorType: description.type || 'Error',
+            errorMessage: JSON.stringify(description),
+            trace: err != null && err.stack != null ? err.stack.split('\n') : []
+        };
+    }
+
+    /**
+     * Restores an error from AWS Lambda error payload.
+     * Errors serialized by [[toPayload]] are restored into original ApplicationExceptions,
+     * other errors are converted into UnknownException with FUNCTION_ERROR code.
+     *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param payload           an error payload as a JSON string or an object.
+     * @returns the restored error.
+     */
+    public static toError(correlationId: string, payload: any): ApplicationException {
+        let error: any = typeof payload == 'string' ? LambdaErrorConverter.parseJson(payload) : payload;
+        error = error || {};
+        let description: ErrorDescription = LambdaErrorConverter.parseJson(error.errorMessage);
+
+        if (description != null && typeof description == 'object' && description.category != null) {
+            let ex = ApplicationExceptionFactory.create(description);
+            ex.status = description.status || ex.status;
+            ex.correlation_id = ex.correlation_id || correlationId;
+            return ex;
+        }
+
+        return new UnknownException(
+            correlationId,
+            'FUNCTION_ERROR',
+            error.errorMessage || (typeof payload == 'string' ? payload : null) || 'Lambda function failed'
+        )
+        .withDetails('error_type', error.errorType)
+        .withStackTrace(Array.isArray(error.trace) ? error.trace.join('\n') : null);
+    }
+
+    private static parseJson(value: string): any {
+        if (value == null || value == '' || typeof value != 'string') {
+            return null;
+        }
+
+        try {
+            return JSON.parse(value);
+        } catch (err) {
+            return null;
+        }
+    }
+}
@@ -1,3 +1,6 @@
 /** @module clients */
 export { LambdaClient } from './LambdaClient';
 export { CommandableLambdaClient } from './CommandableLambdaClient';
+export { CircuitBreaker } from './CircuitBreaker';
+export { LambdaErrorConverter } from './LambdaErrorConverter';
+export { LambdaDestinationConsumer } from './LambdaDestinationConsumer';
\ No newline at end of file
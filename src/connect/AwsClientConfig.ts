@@ -0,0 +1,141 @@
+/** @module connect */
+/** @hidden */
+const http = require('http');
+/** @hidden */
+const https = require('https');
+
+import { IConfigurable } from 'pip-services3-commons-nodex';
+import { ConfigParams } from 'pip-services3-commons-nodex';
+import { NodeHttpHandler } from '@smithy/node-http-handler';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+
+import { AwsConnectionParams } from './AwsConnectionParams';
+
+/**
+ * Helper class to compose configuration of AWS SDK clients.
+ *
+ * Each component builds its own isolated client from resolved [[AwsConnectionParams]]
+ * and its own options, so components connected to different accounts or regions
+ * can safely work in the same process.
+ *
+ * ### Configuration parameters ###
+ *
+ * - connection:
+ *     - endpoint:                    (optional) custom endpoint URL
+ *     - uri:                         (optional) alternative to endpoint
+ *     - endpoints.&lt;service&gt;:    (optional) endpoint URL that overrides endpoint for the service
+ * - options:
+ *     - connect_timeout:             (optional) connection timeout in milliseconds
+ *     - timeout:                     (optional) request timeout in milliseconds (default: 0 - no timeout)
+ *     - max_retries:                 (optional) maximum number of retries for failed requests (default: SDK default)
+ *     - keep_alive:                  (optional) true to reuse connections (default: true)
+ *     - max_sockets:                 (optional) maximum number of sockets per host (default: 50)
+ *     - proxy:                       (optional) URL of HTTP(s) proxy server
+ *     - tls:                         (optional) false to use plain HTTP for default endpoints (default: true)
+ *     - reject_unauthorized:         (optional) false to accept self-signed TLS certificates (default: true)
+ *     - force_path_style:            (optional) true to use path-style URLs with custom endpoints (default: false)
+ *
+ * @see [[AwsConnectionParams]]
+ *
+ * ### Example ###
+ *
+ *     let clientConfig = new AwsClientConfig(10000);
+ *     clientConfig.configure(ConfigParams.fromTuples(
+ *         "options.timeout", 30000,
+ *         "options.max_retries", 3
+ *     ));
+ *
+ *     let connection = await connectionResolver.resolve("123");
+ *     let credentials = connectionResolver.getCredentials(connection);
+ *     let client = new CloudWatchClient(clientConfig.compose(connection, credentials, "cloudwatch"));
+ */
+export class AwsClientConfig implements IConfigurable {
+    private _connectTimeout: number;
+    private _timeout: number = 0;
+    private _maxRetries: number = null;
+    private _keepAlive: boolean = true;
+    private _maxSockets: number = 50;
+    private _proxy: string = null;
+    private _tls: boolean = true;
+    private _rejectUnauthorized: boolean = true;
+    private _forcePathStyle: boolean = false;
+
+    /**
+     * Creates a new instance of the client configuration.
+     *
+     * @param connectTimeout    (optional) a default connection timeout in milliseconds.
+     */
+    public constructor(connectTimeout?: number) {
+        this._connectTimeout = connectTimeout;
+    }
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._connectTimeout = config.getAsIntegerWithDefault("options.connect_timeout", this._connectTimeout);
+        this._timeout = config.getAsIntegerWithDefault("options.timeout", this._timeout);
+        this._maxRetries = config.getAsIntegerWithDefault("options.max_retries", this._maxRetries);
+        this._keepAlive = config.getAsBooleanWithDefault("options.keep_alive", this._keepAlive);
+        this._maxSockets = config.getAsIntegerWithDefault("options.max_sockets", this._maxSockets);
+        this._proxy = config.getAsStringWithDefault("options.proxy", this._proxy);
+        this._tls = config.getAsBooleanWithDefault("options.tls", this._tls);
+        this._rejectUnauthorized = config.getAsBooleanWithDefault("options.reject_unauthorized", this._rejectUnauthorized);
+        this._forcePathStyle = config.getAsBooleanWithDefault("options.force_path_style", this._forcePathStyle);
+    }
+
+    /**
+     * Composes configuration of AWS SDK client for the specified connection.
+     *
+     * @param connection    resolved AWS connection parameters.
+     * @param credentials   (optional) AWS credentials or credentials provider.
+     *                      By default static credentials are taken from the connection.
+     * @param service       (optional) a service name to select a service-specific endpoint.
+     * @returns a configuration object to be passed to AWS SDK client constructor.
+     *
+     * @see [[AwsConnectionResolver.getCredentials]]
+     */
+    public compose(connection: AwsConnectionParams, credentials?: any, service?: string): any {
+        let config: any = {
+            region: connection.getRegion(),
+            credentials: credentials || {
+                accessKeyId: connection.getAccessId(),
+                secretAccessKey: connection.getAccessKey(),
+                sessionToken: connection.getSessionToken()
+            },
+            requestHandler: this.createRequestHandler(),
+            tls: this._tls
+        };
+
+        let endpoint = connection.getEndpoint(service);
+        if (endpoint != null) {
+            config.endpoint = endpoint;
+            config.forcePathStyle = this._forcePathStyle;
+        }
+
+        if (this._maxRetries != null) {
+            config.maxAttempts = this._maxRetries + 1;
+        }
+
+        return config;
+    }
+
+    private createRequestHandler(): NodeHttpHandler {
+        let agentOptions = {
+            keepAlive: this._keepAlive,
+            maxSockets: this._maxSockets
+        };
+        let tlsOptions = Object.assign({ rejectUnauthorized: this._rejectUnauthorized }, agentOptions);
+
+        let proxyAgent = this._proxy != null ? new HttpsProxyAgent(this._proxy, tlsOptions) : null;
+
+        return new NodeHttpHandler({
+            connectionTimeout: this._connectTimeout,
+            requestTimeout: this._timeout,
+            httpAgent: proxyAgent || new http.Agent(agentOptions),
+            httpsAgent: proxyAgent || new https.Agent(tlsOptions)
+        });
+    }
+}
@@ -13,11 +13,26 @@ import { ConnectionParams } from 'pip-services3-components-nodex';
  * 
  * ### Configuration parameters ###
  * 
+ * - qualifier:     (optional) resource qualifier, like Lambda function version or alias
+ * - endpoint:      (optional) custom service endpoint URL
+ * - uri:           (optional) alternative to endpoint
+ * - endpoints:     (optional) map of endpoint URLs that override endpoint for specific services
+ *     - &lt;service&gt;: an endpoint URL for the service, like "lambda", "logs" or "cloudwatch"
  * - access_id:     application access id
  * - client_id:     alternative to access_id
  * - access_key:    application secret key
  * - client_key:    alternative to access_key
  * - secret_key:    alternative to access_key
+ * - session_token: (optional) session token for temporary credentials
+ * - profile:       (optional) profile in shared config and credentials files
+ * - role_arn:      (optional) ARN of IAM role to assume via STS
+ * - external_id:   (optional) external id required to assume the role
+ * - session_name:  (optional) name of the assumed role session
+ * - duration:      (optional) duration of the assumed role session in seconds (default: 3600)
+ * 
+ * When access_id and access_key are not set, credentials are taken from
+ * the default AWS provider chain. When role_arn is set, those credentials
+ * are used to obtain temporary credentials of the role.
  * 
  * In addition to standard parameters [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/classes/auth.credentialparams.html CredentialParams]] may contain any number of custom parameters
  * 
@@ -203,6 +218,10 @@ export class AwsConnectionParams extends ConfigParams {
             if (tokens.length > 6) {
                 this.setResourceType(tokens[5]);
                 this.setResource(tokens[6]);
+                // Function ARNs may end with a version or alias
+                if (tokens.length > 7) {
+                    this.setQualifier(tokens[7]);
+                }
             } else {
                 let temp = tokens[5];
                 let pos = temp.indexOf("/");
@@ -217,6 +236,58 @@ export class AwsConnectionParams extends ConfigParams {
         }
     }
 
+    /**
+     * Gets the resource qualifier, like a Lambda function version or alias.
+     * 
+     * @returns {string} the resource qualifier.
+     */
+    public getQualifier(): string {
+        return super.getAsNullableString("qualifier");
+    }
+
+    /**
+     * Sets the resource qualifier, like a Lambda function version or alias.
+     * 
+     * @param value a new resource qualifier.
+     */
+    public setQualifier(value: string) {
+        super.put("qualifier", value);
+    }
+
+    /**
+     * Gets the AWS resource ARN without qualifier.
+     * 
+     * @returns {string} the AWS resource ARN without version or alias.
+     */
+    public getUnqualifiedArn(): string {
+        let tokens = this.getArn().split(":");
+        return tokens.length > 7 ? tokens.slice(0, 7).join(":") : tokens.join(":");
+    }
+
+    /**
+     * Gets the custom AWS service endpoint.
+     * A service-specific endpoint takes precedence over the common one.
+     * 
+     * @param service   (optional) a service name, like "lambda", "logs" or "cloudwatch".
+     * @returns {string} the custom endpoint URL or <code>null</code> to use default AWS endpoints.
+     */
+    public getEndpoint(service?: string): string {
+        let endpoint = service != null ? super.getAsNullableString("endpoints." + service) : null;
+        endpoint = endpoint || super.getAsNullableString("endpoint");
+        endpoint = endpoint || super.getAsNullableString("uri");
+        return endpoint;
+    }
+
+    /**
+     * Sets the custom AWS service endpoint.
+     * 
+     * @param value     a new custom endpoint URL.
+     * @param service   (optional) a service name to set the endpoint only for that service.
+     */
+    public setEndpoint(value: string, service?: string) {
+        super.put(service != null ? "endpoints." + service : "endpoint", value);
+    }
+
     /**
      * Gets the AWS access id.
      * 
@@ -253,6 +324,124 @@ export class AwsConnectionParams extends ConfigParams {
         super.put("access_key", value);
     }
 
+    /**
+     * Gets the AWS session token for temporary credentials.
+     * 
+     * @returns {string} the AWS session token.
+     */
+    public getSessionToken(): string {
+        return super.getAsNullableString("session_token");
+    }
+
+    /**
+     * Sets the AWS session token for temporary credentials.
+     * 
+     * @param value a new AWS session token.
+     */
+    public setSessionToken(value: string) {
+        super.put("session_token", value);
+    }
+
+    /**
+     * Gets the profile in shared AWS config and credentials files.
+     * 
+     * @returns {string} the profile name.
+     */
+    public getProfile(): string {
+        return super.getAsNullableString("profile");
+    }
+
+    /**
+     * Sets the profile in shared AWS config and credentials files.
+     * 
+     * @param value a new profile name.
+     */
+    public setProfile(value: string) {
+        super.put("profile", value);
+    }
+
+    /**
+     * Gets the ARN of IAM role to assume.
+     * 
+     * @returns {string} the IAM role ARN.
+     */
+    public getRoleArn(): string {
+        return super.getAsNullableString("role_arn");
+    }
+
+    /**
+     * Sets the ARN of IAM role to assume.
+     * 
+     * @param value a new IAM role ARN.
+     */
+    public setRoleArn(value: string) {
+        super.put("role_arn", value);
+    }
+
+    /**
+     * Gets the external id required to assume the IAM role.
+     * 
+     * @returns {string} the external id.
+     */
+    public getExternalId(): string {
+        return super.getAsNullableString("external_id");
+    }
+
+    /**
+     * Sets the external id required to assume the IAM role.
+     * 
+     * @param value a new external id.
+     */
+    public setExternalId(value: string) {
+        super.put("external_id", value);
+    }
+
+    /**
+     * Gets the name of the assumed role session.
+     * 
+     * @returns {string} the session name.
+     */
+    public getSessionName(): string {
+        return super.getAsNullableString("session_name");
+    }
+
+    /**
+     * Sets the name of the assumed role session.
+     * 
+     * @param value a new session name.
+     */
+    public setSessionName(value: string) {
+        super.put("session_name", value);
+    }
+
+    /**
+     * Gets the duration of the assumed role session in seconds.
+     * 
+     * @returns {number} the session duration in seconds.
+     */
+    public getDuration(): number {
+        return super.getAsNullableInteger("duration");
+    }
+
+    /**
+     * Sets the duration of the assumed role session in seconds.
+     * 
+     * @param value a new session duration in seconds.
+     */
+    public setDuration(value: number) {
+        super.put("duration", value);
+    }
+
+    /**
+     * Checks if static access keys are configured.
+     * When they are not set, credentials shall be taken from the default AWS provider chain.
+     * 
+     * @returns {boolean} <code>true</code> if access id or access key are set.
+     */
+    public hasAccessKeys(): boolean {
+        return this.getAccessId() != null || this.getAccessKey() != null;
+    }
+
     /**
 	 * Creates a new AwsConnectionParams object filled with key-value pairs serialized as a string.
 	 * 
@@ -280,6 +469,11 @@ export class AwsConnectionParams extends ConfigParams {
             );
         }
 
+        // Credentials from the default provider chain are validated by AWS SDK
+        if (!this.hasAccessKeys()) {
+            return;
+        }
+
         if (this.getAccessId() == null) {
             throw new ConfigException(
                 correlationId,
@@ -4,10 +4,15 @@ import { IConfigurable } from 'pip-services3-commons-nodex';
 import { IReferenceable } from 'pip-services3-commons-nodex';
 import { IReferences } from 'pip-services3-commons-nodex';
 import { ConfigParams } from 'pip-services3-commons-nodex';
+import { ConnectionException } from 'pip-services3-commons-nodex';
 import { ConnectionResolver } from 'pip-services3-components-nodex';
 import { CredentialResolver } from 'pip-services3-components-nodex';
+import { defaultProvider } from '@aws-sdk/credential-provider-node';
+import { STSClient } from '@aws-sdk/client-sts';
+import { AssumeRoleCommand } from '@aws-sdk/client-sts';
 
 import { AwsConnectionParams } from './AwsConnectionParams';
+import { AwsClientConfig } from './AwsClientConfig';
 
 /**
  * Helper class to retrieve AWS connection and credential parameters,
@@ -23,10 +28,27 @@ import { AwsConnectionParams } from './AwsConnectionParams';
  *     - resource_type:               (optional) AWS resource type
  *     - resource:                    (optional) AWS resource id
  *     - arn:                         (optional) AWS resource ARN
+ *     - endpoint:                    (optional) custom endpoint URL, also used by STS when the role is assumed
+ *     - endpoints.sts:               (optional) endpoint URL that overrides endpoint for STS
  * - credentials:    
  *     - store_key:                   (optional) a key to retrieve the credentials from [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/auth.icredentialstore.html ICredentialStore]]
- *     - access_id:                   AWS access/client id
- *     - access_key:                  AWS access/client id
+ *     - access_id:                   (optional) AWS access/client id
+ *     - access_key:                  (optional) AWS access/client id
+ *     - session_token:               (optional) AWS session token for temporary credentials
+ *     - profile:                     (optional) profile in shared AWS config and credentials files
+ *     - role_arn:                    (optional) ARN of IAM role to assume via STS
+ *     - external_id:                 (optional) external id required to assume the role
+ *     - session_name:                (optional) name of the assumed role session
+ *     - duration:                    (optional) duration of the assumed role session in seconds (default: 3600)
+ * 
+ * When access keys are not configured, the credentials are taken from the default AWS
+ * provider chain: environment variables, shared config and credentials files,
+ * web identity token, container and instance metadata.
+ * 
+ * When role_arn is configured, the resolver obtains temporary credentials of the role
+ * via STS AssumeRole, caches them and refreshes them 5 minutes before expiration.
+ * STS client uses the same endpoint, proxy, timeout and TLS options as the component,
+ * see [[AwsClientConfig]].
  * 
  * ### References ###
  * 
@@ -43,7 +65,8 @@ import { AwsConnectionParams } from './AwsConnectionParams';
  *         "connection.service", "s3",
  *         "connection.bucket", "mybucket",
  *         "credential.access_id", "XXXXXXXXXX",
- *         "credential.access_key", "XXXXXXXXXX"
+ *         "credential.access_key", "XXXXXXXXXX",
+ *         "credential.role_arn", "arn:aws:iam::123456789012:role/myrole"
  *     );
  *     
  *     let connectionResolver = new AwsConnectionResolver();
@@ -53,6 +76,9 @@ import { AwsConnectionParams } from './AwsConnectionParams';
  *     const connectionParams = await connectionResolver.resolve("123");
  */
 export class AwsConnectionResolver implements IConfigurable, IReferenceable {
+    private static readonly _defaultDuration = 3600;
+    private static readonly _refreshMargin = 300000;
+
     /**
      * The connection resolver.
      */
@@ -61,6 +87,13 @@ export class AwsConnectionResolver implements IConfigurable, IReferenceable {
      * The credential resolver.
      */
     protected _credentialResolver: CredentialResolver = new CredentialResolver();
+    /**
+     * The configuration of STS client.
+     */
+    protected _clientConfig: AwsClientConfig = new AwsClientConfig();
+
+    private _roleCredentials: any = null;
+    private _roleRequest: Promise<any> = null;
 
     /**
      * Configures component by passing configuration parameters.
@@ -70,6 +103,7 @@ export class AwsConnectionResolver implements IConfigurable, IReferenceable {
     public configure(config: ConfigParams): void {
         this._connectionResolver.configure(config);
         this._credentialResolver.configure(config);
+        this._clientConfig.configure(config);
     }
 
     /**
@@ -110,4 +144,100 @@ export class AwsConnectionResolver implements IConfigurable, IReferenceable {
         return connection;
     }
 
+    /**
+     * Gets AWS credentials for the resolved connection parameters.
+     * When access keys are not configured, it falls back to the default AWS provider chain.
+     * When IAM role is configured, it returns a provider of the assumed role credentials.
+     * 
+     * @param connection    resolved AWS connection parameters.
+     * @returns static AWS credentials or a credentials provider function.
+     */
+    public getCredentials(connection: AwsConnectionParams): any {
+        let credentials = this.getSourceCredentials(connection);
+
+        if (connection.getRoleArn() != null) {
+            return () => this.getRoleCredentials(connection, credentials);
+        }
+
+        return credentials;
+    }
+
+    private getSourceCredentials(connection: AwsConnectionParams): any {
+        if (connection.hasAccessKeys()) {
+            return {
+                accessKeyId: connection.getAccessId(),
+                secretAccessKey: connection.getAccessKey(),
+                sessionToken: connection.getSessionToken()
+            };
+        }
+
+        return defaultProvider({ profile: connection.getProfile() });
+    }
+
+    private async getRoleCredentials(connection: AwsConnectionParams, sourceCredentials: any): Promise<any> {
+        let expiration = this._roleCredentials != null ? this._roleCredentials.expiration : null;
+        if (expiration != null && expiration.getTime() - AwsConnectionResolver._refreshMargin > Date.now()) {
+            return this._roleCredentials;
+        }
+
+        // Share a single STS request between concurrent callers
+        if (this._roleRequest == null) {
+            this._roleRequest = this.assumeRole(connection, sourceCredentials).then(
+                (credentials) => {
+                    this._roleCredentials = credentials;
+                    this._roleRequest = null;
+                    return credentials;
+                },
+                (err) => {
+                    this._roleRequest = null;
+                    throw err;
+                }
+            );
+        }
+
+        return await this._roleRequest;
+    }
+
+    /**
+     * Creates STS client to assume IAM role.
+     * 
+     * @param connection        resolved AWS connection parameters.
+     * @param sourceCredentials credentials used to assume the role.
+     * @returns a created STS client.
+     */
+    protected createStsClient(connection: AwsConnectionParams, sourceCredentials: any): any {
+        let config = this._clientConfig.compose(connection, sourceCredentials, "sts");
+        config.region = config.region || "us-east-1";
+        return new STSClient(config);
+    }
+
+    private async assumeRole(connection: AwsConnectionParams, sourceCredentials: any): Promise<any> {
+        let roleArn = connection.getRoleArn();
+        let client = this.createStsClient(connection, sourceCredentials);
+
+        try {
+            let result = await client.send(new AssumeRoleCommand({
+                RoleArn: roleArn,
+                RoleSessionName: connection.getSessionName() || "pip-services-" + Date.now(),
+                ExternalId: connection.getExternalId() || undefined,
+                DurationSeconds: connection.getDuration() || AwsConnectionResolver._defaultDuration
+            }));
+
+            return {
+                accessKeyId: result.Credentials.AccessKeyId,
+                secretAccessKey: result.Credentials.SecretAccessKey,
+                sessionToken: result.Credentials.SessionToken,
+                expiration: result.Credentials.Expiration
+            };
+        } catch (err) {
+            throw new ConnectionException(
+                null,
+                "ASSUME_ROLE_FAILED",
+                "Failed to assume IAM role " + roleArn
+            ).withDetails("role_arn", roleArn).withCause(err);
+        } finally {
+            client.destroy();
+        }
+    }
+
 }
\ No newline at end of file
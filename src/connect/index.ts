@@ -1,3 +1,4 @@
 /** @module connect */
 export { AwsConnectionParams } from './AwsConnectionParams';
-export { AwsConnectionResolver } from './AwsConnectionResolver';
\ No newline at end of file
+export { AwsConnectionResolver } from './AwsConnectionResolver';
+export { AwsClientConfig } from './AwsClientConfig';
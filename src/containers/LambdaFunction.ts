@@ -7,6 +7,7 @@ import { ConfigParams } from 'pip-services3-commons-nodex';
 import { DependencyResolver } from 'pip-services3-commons-nodex';
 import { Descriptor } from 'pip-services3-commons-nodex';
 import { IReferences } from 'pip-services3-commons-nodex';
+import { InvocationException } from 'pip-services3-commons-nodex';
 import { Schema } from 'pip-services3-commons-nodex';
 import { UnknownException } from 'pip-services3-commons-nodex';
 import { Container } from 'pip-services3-container-nodex';
@@ -16,13 +17,42 @@ import { CompositeTracer } from 'pip-services3-components-nodex';
 import { InstrumentTiming } from 'pip-services3-rpc-nodex';
 
 import { ILambdaService } from '../services/ILambdaService';
+import { ILambdaEventAdapter } from '../adapters/ILambdaEventAdapter';
+import { DefaultAwsFactory } from '../build/DefaultAwsFactory';
+import { LambdaErrorConverter } from '../clients/LambdaErrorConverter';
+import { PayloadOffloader } from '../payloads/PayloadOffloader';
+import { LambdaInvocationContext } from './LambdaInvocationContext';
+import { LambdaInvocationManager } from './LambdaInvocationManager';
 
 /**
  * Abstract AWS Lambda function, that acts as a container to instantiate and run components
  * and expose them via external entry point. 
  * 
  * When handling calls "cmd" parameter determines which what action shall be called, while
- * other parameters are passed to the action itself.
+ * other parameters are passed to the action itself. Actions also receive [[LambdaInvocationContext]]
+ * with the AWS request id, remaining time and other properties of the invocation.
+ * When the caller does not pass a correlation id, the AWS request id is used instead.
+ * 
+ * Invocations are cancelled shortly before AWS Lambda timeout. Actions are notified via
+ * the invocation context signal, cached log messages and counters are flushed,
+ * and the function returns INVOCATION_TIMEOUT error. Completed invocations also flush
+ * cached log messages and counters, since AWS Lambda freezes the process between invocations.
+ * 
+ * The function can be initialized during AWS Lambda init phase by calling [[init]] when the module is loaded.
+ * Otherwise it is initialized by the first invocation, which is marked as a cold start in the invocation context and logs.
+ * Warm-up pings recognized by [[LambdaInvocationManager]] return immediately without running actions.
+ * Durations of startup phases are collected as "lambda.startup.&lt;phase&gt;_time" counters
+ * and "startup.&lt;phase&gt;" trace spans.
+ * 
+ * Events from other sources, like API Gateway, SQS, SNS or EventBridge, are converted into action calls
+ * by referenced event adapters.
+ * 
+ * Errors are returned to AWS Lambda with serialized [[https://pip-services3-nodex.github.io/pip-services3-commons-nodex/classes/errors.errordescription.html ErrorDescription]]
+ * in the error message, so [[LambdaClient]] can restore the original exceptions.
+ * 
+ * When a payload store is referenced, requests offloaded by [[LambdaClient]] are loaded from the store,
+ * and responses over the threshold are saved there and replaced with pointers, which the client resolves.
+ * The threshold is 6 MB by default and can be changed in [[LambdaInvocationManager]] options.
  * 
  * Container configuration for this Lambda function is stored in <code>"./config/config.yml"</code> file.
  * But this path can be overriden by <code>CONFIG_PATH</code> environment variable.
@@ -31,8 +61,12 @@ import { ILambdaService } from '../services/ILambdaService';
  * 
  * - <code>\*:logger:\*:\*:1.0</code>            (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/log.ilogger.html ILogger]] components to pass log messages
  * - <code>\*:counters:\*:\*:1.0</code>          (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/count.icounters.html ICounters]] components to pass collected measurements
+ * - <code>\*:tracer:\*:\*:1.0</code>            (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/trace.itracer.html ITracer]] components to record traces
  * - <code>\*:service:awslambda:\*:1.0</code>       (optional) [[https://pip-services3-nodex.github.io/pip-services3-aws-nodex/interfaces/services.ilambdaservice.html ILambdaService]] services to handle action requests
  * - <code>\*:service:commandable-awslambda:\*:1.0</code> (optional) [[https://pip-services3-nodex.github.io/pip-services3-aws-nodex/interfaces/services.ilambdaservice.html ILambdaService]] services to handle action requests
+ * - <code>\*:event-adapter:\*:\*:1.0</code>     (optional) [[ILambdaEventAdapter]] adapters to handle events from other AWS sources
+ * - <code>\*:payload-store:\*:\*:1.0</code>     (optional) [[IPayloadStore]] to keep large requests and responses
+ * - <code>\*:invocation-manager:\*:\*:1.0</code> (optional) [[LambdaInvocationManager]] to override invocation lifecycle settings
  * 
  * @see [[LambdaClient]]
  * 
@@ -70,11 +104,29 @@ export abstract class LambdaFunction extends Container {
      * The map of registered actions.
      */
     protected _actions: { [id: string]: any } = {};
+    /**
+     * The list of registered event adapters.
+     */
+    protected _adapters: ILambdaEventAdapter[] = [];
+    /**
+     * The offloader of large payloads.
+     */
+    protected _payloadOffloader: PayloadOffloader = new PayloadOffloader();
+    /**
+     * The invocation lifecycle manager.
+     */
+    protected _invocationManager: LambdaInvocationManager = new LambdaInvocationManager();
     /**
      * The default path to config file.
      */
     protected _configPath: string = './config/config.yml';
 
+    private _coldStart: boolean = true;
+    private _initPromise: Promise<void> = null;
+    private _startupTimes: { [phase: string]: number } = {};
+    private _processCaptured: boolean = false;
+    private _componentsOpenStart: number = null;
+
     /**
      * Creates a new instance of this lambda function.
      * 
@@ -85,7 +137,7 @@ export abstract class LambdaFunction extends Container {
         super(name, description);
 
         this._logger = new ConsoleLogger();
-        this._dependencyResolver
+        this._factories.add(new DefaultAwsFactory());
     }
 
     private getConfigPath(): string {
@@ -125,11 +177,36 @@ export abstract class LambdaFunction extends Container {
 	 * @param references 	references to locate the component dependencies. 
 	 */
     public setReferences(references: IReferences): void {
+        let start = Date.now();
+
         super.setReferences(references);
         this._counters.setReferences(references);
+        this._tracer.setReferences(references);
         this._dependencyResolver.setReferences(references);
+        this._payloadOffloader.setReferences(references);
+
+        let invocationManager = references.getOneOptional<LambdaInvocationManager>(
+            new Descriptor("*", "invocation-manager", "*", "*", "1.0"));
+        if (invocationManager instanceof LambdaInvocationManager) {
+            this._invocationManager = invocationManager;
+        } else {
+            this._invocationManager.setReferences(references);
+        }
+
+        // Response threshold is configured in the invocation manager, since the function has no options
+        let payloadThreshold = this._invocationManager.getPayloadThreshold();
+        if (payloadThreshold != null) {
+            this._payloadOffloader.configure(ConfigParams.fromTuples(
+                "options.payload.threshold", payloadThreshold
+            ));
+        }
 
         this.register();
+
+        this._startupTimes["set_references"] = Date.now() - start;
+
+        // Container opens the components right after it sets references
+        this._componentsOpenStart = Date.now();
     }
 
     /**
@@ -140,10 +217,58 @@ export abstract class LambdaFunction extends Container {
      public async open(correlationId: string): Promise<void> {
          if (this.isOpen()) return;
 
+         this._componentsOpenStart = null;
+         let start = Date.now();
          await super.open(correlationId);
+         let openStart = this._componentsOpenStart != null ? this._componentsOpenStart : start;
+         this._startupTimes["open"] = Date.now() - openStart;
+
+         start = Date.now();
          this.registerServices();
+         this.registerAdapters();
+         this._startupTimes["register_services"] = Date.now() - start;
+
+         this.reportStartup(correlationId);
      }
 
+    /**
+	 * Closes component and frees used resources.
+	 * 
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     */
+    public async close(correlationId: string): Promise<void> {
+        // Closed function is initialized again by the next invocation,
+        // which registers actions of the new components
+        this._initPromise = null;
+        await super.close(correlationId);
+        this._actions = {};
+        this._adapters = [];
+    }
+
+    /**
+     * Gets durations of startup phases: "read_config", "set_references", "open" and "register_services".
+     * 
+     * @returns a map with phase durations in milliseconds.
+     */
+    public getStartupTimes(): { [phase: string]: number } {
+        return Object.assign({}, this._startupTimes);
+    }
+
+    private reportStartup(correlationId: string): void {
+        let total = 0;
+        for (let phase of Object.keys(this._startupTimes)) {
+            let duration = this._startupTimes[phase];
+            total += duration;
+
+            this._counters.stats("lambda.startup." + phase + "_time", duration);
+            this._tracer.trace(correlationId, this._info.name, "startup." + phase, duration);
+            this._logger.debug(correlationId, "Startup phase %s took %d ms", phase, duration);
+        }
+
+        this._counters.stats("lambda.startup.total_time", total);
+        this._logger.info(correlationId, "Lambda function %s initialized in %d ms", this._info.name, total);
+    }
+
 
     /**
      * Adds instrumentation to log calls and measure call time.
@@ -176,10 +301,16 @@ export abstract class LambdaFunction extends Container {
 
         let path = this.getConfigPath();
         let parameters = this.getParameters();
+        let start = Date.now();
         this.readConfigFromFile(correlationId, path, parameters);
+        this._startupTimes["read_config"] = Date.now() - start;
 
-        this.captureErrors(correlationId);
-        this.captureExit(correlationId);
+        // Retries of failed initialization shall not add process listeners again
+        if (!this._processCaptured) {
+            this.captureErrors(correlationId);
+            this.captureExit(correlationId);
+            this._processCaptured = true;
+        }
     	await this.open(correlationId);
     }
 
@@ -215,6 +346,18 @@ export abstract class LambdaFunction extends Container {
         }
     }
 
+    /**
+     * Registers all event adapters in the container.
+     */
+    protected registerAdapters(): void {
+        let adapters = this._references.getOptional<ILambdaEventAdapter>(
+            new Descriptor("*", "event-adapter", "*", "*", "*")
+        );
+
+        // Check if the adapters implement required interface
+        this._adapters = adapters.filter(a => typeof a.canHandle === "function");
+    }
+
     /**
      * Registers an action in this lambda function.
      * 
@@ -223,9 +366,10 @@ export abstract class LambdaFunction extends Container {
      * @param cmd           a action/command name.
      * @param schema        a validation schema to validate received parameters.
      * @param action        an action function that is called when action is invoked.
+     *                      It receives action parameters and the invocation context.
      */
     protected registerAction(cmd: string, schema: Schema, 
-        action: (params: any) => Promise<any>): void {
+        action: (params: any, context?: LambdaInvocationContext) => Promise<any>): void {
         if (cmd == '') {
             throw new UnknownException(null, 'NO_COMMAND', 'Missing command');
         }
@@ -243,7 +387,7 @@ export abstract class LambdaFunction extends Container {
         }
 
         // Hack!!! Wrapping action to preserve prototyping context
-        const actionCurl = (params) => {
+        const actionCurl = (params, context?: LambdaInvocationContext) => {
             // Perform validation
             if (schema != null) {
                 let correlationId = params.correlaton_id;
@@ -254,7 +398,7 @@ export abstract class LambdaFunction extends Container {
             }
 
             // Todo: perform verification?
-            return action.call(this, params);
+            return action.call(this, params, context);
         };
 
         this._actions[cmd] = actionCurl;
@@ -266,9 +410,10 @@ export abstract class LambdaFunction extends Container {
      * if they need to change the default behavior
      * 
      * @params event the event parameters (or function arguments)
+     * @params context (optional) the invocation context.
      * @returns the result of the function execution.
      */
-    protected async execute(event: any): Promise<any> {
+    protected async execute(event: any, context?: LambdaInvocationContext): Promise<any> {
         let cmd: string = event.cmd;
         let correlationId = event.correlation_id;
         
@@ -290,34 +435,195 @@ export abstract class LambdaFunction extends Container {
             .withDetails('command', cmd);
         }
         
-        return action(event);
+        return action(event, context);
     }
     
-    private async handler(event: any): Promise<any> {
-        // If already started then execute
+    /**
+     * Initializes this lambda function by running its container.
+     * 
+     * It can be called when the module is loaded, so the container is opened during
+     * AWS Lambda init phase, which benefits provisioned concurrency and pre-initialized snapshots.
+     * Otherwise the function is initialized by the first invocation.
+     * Repeated and concurrent calls wait for the same initialization.
+     * 
+     * ### Example ###
+     * 
+     *     let lambda = new MyLambdaFunction();
+     *     lambda.init();
+     *     
+     *     export const handler = lambda.getHandler();
+     */
+    public init(): Promise<void> {
+        // The container is marked open before services are registered, so a pending initialization is awaited first
+        if (this._initPromise != null) {
+            return this._initPromise;
+        }
+
         if (this.isOpen()) {
-            return this.execute(event);
+            return Promise.resolve();
         }
+
+        this._initPromise = this.run();
+        // Keep the error for the handler and let the next invocation retry
+        this._initPromise.catch(() => {
+            this._initPromise = null;
+        });
+        return this._initPromise;
+    }
+
+    private async handler(event: any, context?: any): Promise<any> {
+        // The invocation is a cold start if it waits for initialization
+        let coldStart = this._coldStart && !this.isOpen();
+
         // Start before execute
-        await this.run();
-        return this.execute(event);
+        await this.init();
+        // Invocations after failed initialization are still cold starts
+        this._coldStart = false;
+
+        let invocation = context instanceof LambdaInvocationContext
+            ? context : new LambdaInvocationContext(context);
+
+        invocation.coldStart = coldStart;
+        if (coldStart) {
+            this._counters.incrementOne("lambda.cold_start_count");
+        }
+
+        // Return from warm-up pings without running actions
+        if (this._invocationManager.isWarmup(event)) {
+            this._counters.incrementOne("lambda.warmup_count");
+            this._logger.trace(invocation.requestId, "Received warm-up ping%s", coldStart ? " (cold start)" : "");
+            return { warmup: true, cold_start: coldStart };
+        }
+
+        try {
+            return await this.executeWithDeadline(invocation, async () => {
+                // Load requests offloaded by the client
+                event = await this._payloadOffloader.resolve(invocation.requestId, event);
+
+                // Convert events from other sources into action calls
+                let adapter = this._adapters.find(a => a.canHandle(event));
+                if (adapter != null) {
+                    return adapter.handle(event, (params) => this.executeInvocation(params, invocation));
+                }
+
+                let result = await this.executeInvocation(event, invocation);
+                // Without a store AWS Lambda rejects large responses itself,
+                // so they are not serialized twice to check their size
+                if (result === undefined || !this._payloadOffloader.hasStore()) {
+                    return result;
+                }
+
+                // Offload responses over the Lambda limit, the client removes them after reading
+                let pointer = await this._payloadOffloader.offload(
+                    event.correlation_id, JSON.stringify(result), 'RequestResponse', true);
+                return pointer != null ? pointer : result;
+            });
+        } finally {
+            // Cancelled invocations are flushed at the deadline
+            if (!invocation.isCancelled()) {
+                await this._invocationManager.endInvocation(invocation.requestId);
+            }
+        }
+    }
+
+    private async executeWithDeadline(invocation: LambdaInvocationContext,
+        execute: () => Promise<any>): Promise<any> {
+        let remainingTime = invocation.getRemainingTime();
+        if (remainingTime == null) {
+            return execute();
+        }
+
+        let timeout = Math.max(0, remainingTime - this._invocationManager.getTimeoutMargin());
+        invocation.deadline = Date.now() + timeout;
+
+        // Cancel the invocation before AWS Lambda terminates it
+        let timer = null;
+        let deadline = new Promise<any>((resolve, reject) => {
+            timer = setTimeout(() => {
+                let correlationId = invocation.requestId;
+                let error = new InvocationException(
+                    correlationId,
+                    'INVOCATION_TIMEOUT',
+                    'Invocation was cancelled before AWS Lambda timeout'
+                )
+                .withDetails('request_id', invocation.requestId)
+                .withDetails('remaining_time', invocation.getRemainingTime());
+
+                invocation.cancel(error);
+                this._logger.warn(correlationId, "Invocation %s was cancelled before AWS Lambda timeout",
+                    invocation.requestId);
+                reject(error);
+            }, timeout);
+        });
+
+        try {
+            return await Promise.race([execute(), deadline]);
+        } catch (err) {
+            // Flush collected data while the process is still running
+            if (invocation.isCancelled()) {
+                await this._invocationManager.flush(invocation.requestId).catch((flushErr) => {
+                    this._logger.error(invocation.requestId, flushErr, "Failed to flush logs and counters");
+                });
+            }
+            throw err;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    private executeInvocation(params: any, invocation: LambdaInvocationContext): Promise<any> {
+        // Take correlation id from the client context or AWS request id when it is not set
+        if (params != null && params.correlation_id == null) {
+            let custom = invocation.clientContext != null ? invocation.clientContext.custom : null;
+            params.correlation_id = custom != null && custom.correlation_id != null
+                ? custom.correlation_id : invocation.requestId;
+        }
+
+        if (params != null && invocation.requestId != null) {
+            this._logger.trace(params.correlation_id, "Executing %s action in AWS request %s%s",
+                params.cmd, invocation.requestId, invocation.coldStart ? " (cold start)" : "");
+        }
+
+        return this.execute(params, invocation);
     }
     
     /**
      * Gets entry point into this lambda function.
      * 
-     * @param event     an incoming event object with invocation parameters.
+     * The handler passes AWS Lambda context object to the actions as [[LambdaInvocationContext]],
+     * so they can access the client context sent by [[LambdaClient]] and other invocation properties.
      */
-    public getHandler(): (event: any) => Promise<any> {
+    public getHandler(): (event: any, context?: any) => Promise<any> {
         let self = this;
         
         // Return plugin function
-        return async function (event) {
-            // Calling run with changed context
-            return self.handler.call(self, event);
+        return async function (event, context?) {
+            try {
+                // Calling run with changed context
+                return await self.handler.call(self, event, context);
+            } catch (err) {
+                throw self.composeError(err);
+            }
         }
     }
 
+    /**
+     * Converts an error into the form returned to AWS Lambda.
+     * The error message contains serialized ErrorDescription
+     * and the error name is set to the error type.
+     * 
+     * @param err   an error thrown while handling the event.
+     * @returns an error to be returned to AWS Lambda.
+     */
+    protected composeError(err: any): Error {
+        let payload = LambdaErrorConverter.toPayload(err);
+
+        let error = new Error(payload.errorMessage);
+        error.name = payload.errorType;
+        error.stack = err != null && err.stack != null ? err.stack : error.stack;
+        return error;
+    }
+
     /**
      * Calls registered action in this lambda function.
      * "cmd" parameter in the action parameters determin
@@ -326,9 +632,10 @@ export abstract class LambdaFunction extends Container {
      * This method shall only be used in testing.
      * 
      * @param params action parameters.
+     * @param context (optional) AWS Lambda context object or the invocation context.
      */
-    public async act(params: any): Promise<any> {
-        return this.getHandler()(params);
+    public async act(params: any, context?: any): Promise<any> {
+        return this.handler(params, context);
     }
 
 }
\ No newline at end of file
@@ -0,0 +1,173 @@
+/** @module containers */
+
+/**
+ * Properties of a single AWS Lambda invocation passed to actions together with their parameters.
+ *
+ * It wraps the context object that AWS Lambda passes to the function handler.
+ * When actions are called without AWS Lambda, for instance in tests, the properties are not set.
+ *
+ * @see [[LambdaFunction]]
+ * @see [[https://docs.aws.amazon.com/lambda/latest/dg/nodejs-context.html AWS Lambda context object in Node.js]]
+ *
+ * ### Example ###
+ *
+ *     public getActions(): LambdaAction[] {
+ *         return [{
+ *             cmd: "get_data",
+ *             schema: null,
+ *             action: async (params, context: LambdaInvocationContext) => {
+ *                 console.log("Request " + context.requestId + " has " + context.getRemainingTime() + " ms left");
+ *                 for (let item of items) {
+ *                     context.throwIfCancelled();
+ *                     ...
+ *                 }
+ *             }
+ *         }];
+ *     }
+ */
+export class LambdaInvocationContext {
+    /**
+     * The original AWS Lambda context object.
+     */
+    public readonly context: any;
+    /**
+     * The AWS request id of the invocation.
+     */
+    public readonly requestId: string;
+    /**
+     * The name of the Lambda function.
+     */
+    public readonly functionName: string;
+    /**
+     * The version of the function.
+     */
+    public readonly functionVersion: string;
+    /**
+     * The ARN used to invoke the function, including the version or alias.
+     */
+    public readonly functionArn: string;
+    /**
+     * The alias used to invoke the function or <code>null</code> if it was invoked without an alias.
+     */
+    public readonly alias: string;
+    /**
+     * The amount of memory allocated for the function in megabytes.
+     */
+    public readonly memoryLimit: number;
+    /**
+     * The log group of the function.
+     */
+    public readonly logGroupName: string;
+    /**
+     * The log stream of the function instance.
+     */
+    public readonly logStreamName: string;
+    /**
+     * The client context sent by the caller.
+     */
+    public readonly clientContext: any;
+    /**
+     * The Amazon Cognito identity that authorized the request.
+     */
+    public readonly identity: any;
+    /**
+     * The time in milliseconds since epoch when the invocation shall be completed
+     * or <code>null</code> if the time is unknown.
+     */
+    public deadline: number = null;
+    /**
+     * <code>true</code> if the invocation waited for initialization of the function instance.
+     */
+    public coldStart: boolean = false;
+
+    private _controller: AbortController = new AbortController();
+
+    /**
+     * Gets the signal that is aborted when the invocation is cancelled, for instance
+     * when it is about to exceed AWS Lambda timeout. Actions shall stop their work
+     * when the signal is aborted or pass it to calls that accept AbortSignal.
+     */
+    public get signal(): AbortSignal {
+        return this._controller.signal;
+    }
+
+    /**
+     * Creates a new instance of the invocation context.
+     *
+     * @param context   (optional) AWS Lambda context object.
+     */
+    public constructor(context?: any) {
+        context = context || {};
+
+        this.context = context;
+        this.requestId = context.awsRequestId || null;
+        this.functionName = context.functionName || null;
+        this.functionVersion = context.functionVersion || null;
+        this.functionArn = context.invokedFunctionArn || null;
+        this.alias = LambdaInvocationContext.parseAlias(this.functionArn);
+        this.memoryLimit = context.memoryLimitInMB != null ? Number(context.memoryLimitInMB) : null;
+        this.logGroupName = context.logGroupName || null;
+        this.logStreamName = context.logStreamName || null;
+        this.clientContext = context.clientContext || null;
+        this.identity = context.identity || null;
+    }
+
+    /**
+     * Gets time left before AWS Lambda terminates the invocation.
+     *
+     * @returns the remaining time in milliseconds or <code>null</code> if it is unknown.
+     */
+    public getRemainingTime(): number {
+        return typeof this.context.getRemainingTimeInMillis === "function"
+            ? this.context.getRemainingTimeInMillis() : null;
+    }
+
+    /**
+     * Gets time left before the invocation deadline.
+     *
+     * @returns the time in milliseconds or <code>null</code> if the deadline is not set.
+     */
+    public getTimeToDeadline(): number {
+        return this.deadline != null ? Math.max(0, this.deadline - Date.now()) : null;
+    }
+
+    /**
+     * Checks if the invocation was cancelled.
+     *
+     * @returns <code>true</code> if the invocation was cancelled and <code>false</code> otherwise.
+     */
+    public isCancelled(): boolean {
+        return this._controller.signal.aborted;
+    }
+
+    /**
+     * Throws the cancellation reason if the invocation was cancelled.
+     * Actions can call it between steps of long work.
+     */
+    public throwIfCancelled(): void {
+        if (this._controller.signal.aborted) {
+            throw this._controller.signal.reason;
+        }
+    }
+
+    /**
+     * Cancels the invocation and aborts its signal.
+     *
+     * @param reason    an error that explains the cancellation.
+     */
+    public cancel(reason: any): void {
+        if (!this._controller.signal.aborted) {
+            this._controller.abort(reason);
+        }
+    }
+
+    private static parseAlias(functionArn: string): string {
+        // arn:aws:lambda:region:account:function:name[:qualifier]
+        let tokens = functionArn != null ? functionArn.split(":") : [];
+        let qualifier = tokens.length > 7 ? tokens[7] : null;
+        if (qualifier == null || qualifier == "$LATEST" || /^\d+$/.test(qualifier)) {
+            return null;
+        }
+        return qualifier;
+    }
+}
@@ -0,0 +1,171 @@
+/** @module containers */
+import { IConfigurable } from 'pip-services3-commons-nodex';
+import { IReferenceable } from 'pip-services3-commons-nodex';
+import { IReferences } from 'pip-services3-commons-nodex';
+import { ConfigParams } from 'pip-services3-commons-nodex';
+import { Descriptor } from 'pip-services3-commons-nodex';
+import { CompositeLogger } from 'pip-services3-components-nodex';
+
+/**
+ * Controls lifecycle of invocations in [[LambdaFunction]].
+ *
+ * It sets the invocation deadline a safety margin before AWS Lambda timeout,
+ * so actions are cancelled and cached log messages and counters are flushed
+ * before the process is terminated.
+ *
+ * AWS Lambda freezes the process between invocations, so timers of cached loggers and counters
+ * do not fire reliably. The manager flushes them after every invocation or after every N invocations
+ * before the response is returned.
+ *
+ * Warm-up pings sent by scheduled rules or serverless-plugin-warmup are recognized
+ * by the manager, so the function returns immediately without running an action.
+ * A ping is an event with <code>source: "serverless-plugin-warmup"</code>
+ * or with the configured warm-up property set to <code>true</code>.
+ * Regular EventBridge scheduled events are not pings, since they can be routed to actions,
+ * so warm-up rules shall set their input to an object with the warm-up property.
+ *
+ * The function uses default settings when this component is not configured.
+ *
+ * ### Configuration parameters ###
+ *
+ * - options:
+ *     - timeout_margin:        (optional) time in milliseconds before AWS Lambda timeout to cancel the invocation (default: 1 sec)
+ *     - flush_interval:        (optional) number of invocations between flushes of log messages and counters, 0 to disable (default: 1)
+ *     - warmup_property:       (optional) event property that marks warm-up pings (default: "warmup")
+ *     - payload:
+ *         - threshold:         (optional) maximum size in bytes of responses before they are offloaded to the payload store (default: 6 MB)
+ *
+ * ### References ###
+ *
+ * - <code>\*:logger:\*:\*:1.0</code>            (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/log.ilogger.html ILogger]] components to flush
+ * - <code>\*:counters:\*:\*:1.0</code>          (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/count.icounters.html ICounters]] components to flush
+ *
+ * @see [[LambdaFunction]]
+ * @see [[LambdaInvocationContext]]
+ *
+ * ### Example ###
+ *
+ *     # config.yml
+ *     - descriptor: "pip-services:invocation-manager:default:default:1.0"
+ *       options:
+ *         timeout_margin: 2000
+ *         flush_interval: 10
+ *         payload:
+ *           threshold: 1048576
+ *
+ *     # Constant input of the scheduled warm-up rule
+ *     { "warmup": true }
+ */
+export class LambdaInvocationManager implements IConfigurable, IReferenceable {
+    private _timeoutMargin: number = 1000;
+    private _flushInterval: number = 1;
+    private _invocations: number = 0;
+    private _warmupProperty: string = "warmup";
+    private _payloadThreshold: number = null;
+    private _references: IReferences = null;
+
+    /**
+     * The logger.
+     */
+    protected _logger: CompositeLogger = new CompositeLogger();
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._timeoutMargin = config.getAsIntegerWithDefault("options.timeout_margin", this._timeoutMargin);
+        this._flushInterval = config.getAsIntegerWithDefault("options.flush_interval", this._flushInterval);
+        this._warmupProperty = config.getAsStringWithDefault("options.warmup_property", this._warmupProperty);
+        this._payloadThreshold = config.getAsNullableInteger("options.payload.threshold") || this._payloadThreshold;
+    }
+
+    /**
+	 * Sets references to dependent components.
+	 *
+	 * @param references 	references to locate the component dependencies.
+     */
+    public setReferences(references: IReferences): void {
+        this._references = references;
+        this._logger.setReferences(references);
+    }
+
+    /**
+     * Gets time before AWS Lambda timeout to cancel the invocation.
+     *
+     * @returns the timeout margin in milliseconds.
+     */
+    public getTimeoutMargin(): number {
+        return this._timeoutMargin;
+    }
+
+    /**
+     * Gets maximum size of responses that are returned to AWS Lambda directly.
+     *
+     * @returns the threshold in bytes or <code>null</code> to use the default one.
+     */
+    public getPayloadThreshold(): number {
+        return this._payloadThreshold;
+    }
+
+    /**
+     * Checks if the event is a warm-up ping.
+     *
+     * @param event     an incoming event object.
+     * @returns <code>true</code> if the event is a warm-up ping and <code>false</code> otherwise.
+     */
+    public isWarmup(event: any): boolean {
+        if (event == null || typeof event != 'object') {
+            return false;
+        }
+
+        return event.source == "serverless-plugin-warmup" || event[this._warmupProperty] === true;
+    }
+
+    /**
+     * Completes the invocation and flushes cached log messages and counters
+     * when the configured number of invocations is reached.
+     *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     */
+    public async endInvocation(correlationId: string): Promise<void> {
+        this._invocations++;
+        if (this._flushInterval > 0 && this._invocations % this._flushInterval == 0) {
+            await this.flush(correlationId);
+        }
+    }
+
+    /**
+     * Flushes cached log messages and counters in all referenced components.
+     * Components with asynchronous flush() method are awaited,
+     * other components are dumped with dump() method.
+     * Errors are logged and ignored.
+     *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     */
+    public async flush(correlationId: string): Promise<void> {
+        if (this._references == null) {
+            return;
+        }
+
+        let components = this._references.getOptional<any>(new Descriptor("*", "logger", "*", "*", "1.0"))
+            .concat(this._references.getOptional<any>(new Descriptor("*", "counters", "*", "*", "1.0")));
+
+        let tasks = components.map(async (component) => {
+            try {
+                if (typeof component.flush === "function") {
+                    await component.flush();
+                } else if (typeof component.dump === "function") {
+                    // Components may return a promise from dump(), so its errors are caught too
+                    await component.dump();
+                }
+            } catch (err) {
+                this._logger.warn(correlationId, "Failed to flush %s: %s",
+                    component.constructor != null ? component.constructor.name : "component", err.message);
+            }
+        });
+
+        await Promise.all(tasks);
+    }
+}
@@ -1,3 +1,5 @@
 /** @module containers */
 export { LambdaFunction } from './LambdaFunction';
 export { CommandableLambdaFunction } from './CommandableLambdaFunction';
+export { LambdaInvocationContext } from './LambdaInvocationContext';
+export { LambdaInvocationManager } from './LambdaInvocationManager';
\ No newline at end of file
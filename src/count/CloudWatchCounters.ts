@@ -11,10 +11,12 @@ import { Descriptor } from 'pip-services3-commons-nodex';
 
 import { AwsConnectionResolver } from '../connect/AwsConnectionResolver';
 import { AwsConnectionParams } from '../connect/AwsConnectionParams';
+import { AwsClientConfig } from '../connect/AwsClientConfig';
 import { CloudWatchUnit } from './CloudWatchUnit';
 
-import { CloudWatch } from 'aws-sdk';
-import { config } from 'aws-sdk';
+import { CloudWatchClient } from '@aws-sdk/client-cloudwatch';
+import { PutMetricDataCommand } from '@aws-sdk/client-cloudwatch';
+import { PutMetricDataCommandInput } from '@aws-sdk/client-cloudwatch';
 
 /**
  * Performance counters that periodically dumps counters to AWS Cloud Watch Metrics.
@@ -24,13 +26,38 @@ import { config } from 'aws-sdk';
  * - connections:                   
  *     - discovery_key:         (optional) a key to retrieve the connection from [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/connect.idiscovery.html IDiscovery]]
  *     - region:                (optional) AWS region
+ *     - endpoint:              (optional) custom service endpoint URL
+ *     - uri:                   (optional) alternative to endpoint
+ *     - endpoints.cloudwatch:  (optional) endpoint URL that overrides endpoint for CloudWatch service
+ *     - endpoints.sts:         (optional) endpoint URL that overrides endpoint for STS when role_arn is set
  * - credentials:    
  *     - store_key:             (optional) a key to retrieve the credentials from [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/auth.icredentialstore.html ICredentialStore]]
- *     - access_id:             AWS access/client id
- *     - access_key:            AWS access/client id
+ *     - access_id:             (optional) AWS access/client id
+ *     - access_key:            (optional) AWS access/client id
+ *     - session_token:         (optional) AWS session token for temporary credentials
+ *     - profile:               (optional) profile in shared AWS config and credentials files
+ *     - role_arn:              (optional) ARN of IAM role to assume via STS
+ *     - external_id:           (optional) external id required to assume the role
+ * - dimensions:                map of static dimensions added to all metrics
+ *     - &lt;name&gt;:            a dimension value
+ * - rollups:                   (optional) map of dimension rollups to publish each metric with.
+ *                              By default metrics are published once with all dimensions
+ *     - &lt;rollup&gt;:          comma-separated list of dimension names, empty to publish without dimensions
  * - options:
  *     - interval:              interval in milliseconds to save current counters measurements (default: 5 mins)
  *     - reset_timeout:         timeout in milliseconds to reset the counters. 0 disables the reset (default: 0)
+ *     - context_properties:    (optional) comma-separated list of ContextInfo properties to add as dimensions
+ *     - parse_dimensions:      (optional) true to parse per-counter dimensions from counter names
+ *                              in "name[dimension1=value1,dimension2=value2]" format (default: false)
+ *     - connect_timeout:       (optional) connection timeout in milliseconds (default: 30 sec)
+ *     - timeout:               (optional) request timeout in milliseconds (default: 0 - no timeout)
+ *     - max_retries:           (optional) maximum number of retries for failed requests (default: SDK default)
+ *     - keep_alive:            (optional) true to reuse connections (default: true)
+ *     - max_sockets:           (optional) maximum number of sockets per host (default: 50)
+ *     - proxy:                 (optional) URL of HTTP(s) proxy server
+ *     - tls:                   (optional) false to use plain HTTP for default endpoints (default: true)
+ *     - reject_unauthorized:   (optional) false to accept self-signed TLS certificates (default: true)
+ *     - force_path_style:      (optional) true to use path-style URLs with custom endpoints (default: false)
  * 
  * ### References ###
  * 
@@ -66,17 +93,31 @@ import { config } from 'aws-sdk';
  *     }
  *     
  *     counters.dump();
+ * 
+ *     // Publish metric with per-counter dimensions
+ *     counters.configure(ConfigParams.fromTuples(
+ *         "dimensions.Stage", "prod",
+ *         "rollups.by_instance", "InstanceID,Stage",
+ *         "rollups.by_tenant", "Stage,Tenant",
+ *         "options.parse_dimensions", true
+ *     ));
+ *     counters.increment("mycomponent.mymethod.calls[Tenant=tenant1]", 1);
  */
 export class CloudWatchCounters extends CachedCounters implements IReferenceable, IOpenable {
     private _logger: CompositeLogger = new CompositeLogger();
 
     private _connectionResolver: AwsConnectionResolver = new AwsConnectionResolver();
     private _connection: AwsConnectionParams;
-    private _connectTimeout: number = 30000;
-    private _client: any = null; //AmazonCloudWatchClient
+    private _clientConfig: AwsClientConfig = new AwsClientConfig(30000);
+    private _client: CloudWatchClient = null;
 
     private _source: string;
     private _instance: string;
+    private _dimensions: { [name: string]: string } = {};
+    private _contextProperties: string[] = [];
+    private _contextInfo: ContextInfo;
+    private _parseDimensions: boolean = false;
+    private _rollups: string[][] = null;
     private _opened: boolean = false;
 
     /**
@@ -97,7 +138,23 @@ export class CloudWatchCounters extends CachedCounters implements IReferenceable
 
         this._source = config.getAsStringWithDefault('source', this._source);
         this._instance = config.getAsStringWithDefault('instance', this._instance);
-        this._connectTimeout = config.getAsIntegerWithDefault("options.connect_timeout", this._connectTimeout);
+        this._clientConfig.configure(config);
+        this._parseDimensions = config.getAsBooleanWithDefault("options.parse_dimensions", this._parseDimensions);
+
+        let contextProperties = config.getAsNullableString("options.context_properties");
+        if (contextProperties != null) {
+            this._contextProperties = this.splitNames(contextProperties);
+        }
+
+        let dimensions = config.getSection("dimensions");
+        for (let name of dimensions.getKeys()) {
+            this._dimensions[name] = dimensions.getAsString(name);
+        }
+
+        let rollups = config.getSection("rollups");
+        if (rollups.getKeys().length > 0) {
+            this._rollups = rollups.getKeys().map(key => this.splitNames(rollups.getAsString(key)));
+        }
     }
 
 	/**
@@ -116,6 +173,7 @@ export class CloudWatchCounters extends CachedCounters implements IReferenceable
             this._source = contextInfo.name;
         if (contextInfo != null && this._instance == null)
             this._instance = contextInfo.contextId;
+        this._contextInfo = contextInfo;
     }
 
 	/**
@@ -140,17 +198,9 @@ export class CloudWatchCounters extends CachedCounters implements IReferenceable
         this._opened = true;
         this._connection = await this._connectionResolver.resolve(correlationId);
 
-        config.update({
-            accessKeyId: this._connection.getAccessId(),
-            secretAccessKey: this._connection.getAccessKey(),
-            region: this._connection.getRegion()
-        });
-
-        config.httpOptions = {
-            timeout: this._connectTimeout
-        };
-
-        this._client = new CloudWatch({ apiVersion: '2010-08-01' });
+        this._client = new CloudWatchClient(this._clientConfig.compose(
+            this._connection, this._connectionResolver.getCredentials(this._connection), "cloudwatch"
+        ));
     }
 
 	/**
@@ -160,12 +210,74 @@ export class CloudWatchCounters extends CachedCounters implements IReferenceable
 	 */
     public async close(correlationId: string): Promise<void> {
         this._opened = false;
-        this._client = null;
+
+        if (this._client != null) {
+            this._client.destroy();
+            this._client = null;
+        }
+    }
+
+    /**
+     * Saves the current counters measurements and waits until they are written.
+     * Unlike dump() it can be awaited, so measurements are not lost
+     * when AWS Lambda freezes or terminates the process.
+     */
+    public async flush(): Promise<void> {
+        if (!this._updated) {
+            return;
+        }
+
+        this._updated = false;
+        this._lastDumpTime = new Date().getTime();
+        await this.save(this.getAll());
     }
 
-    private getCounterData(counter: Counter, now: Date, dimensions: any[]): any {
+    private splitNames(value: string): string[] {
+        return (value || "").split(",").map(name => name.trim()).filter(name => name != "");
+    }
+
+    private getStaticDimensions(): { [name: string]: string } {
+        let dimensions: { [name: string]: string } = {};
+        dimensions["InstanceID"] = this._instance;
+
+        let properties = this._contextInfo != null ? this._contextInfo.properties || {} : {};
+        for (let name of this._contextProperties) {
+            dimensions[name] = properties[name];
+        }
+
+        return Object.assign(dimensions, this._dimensions);
+    }
+
+    private parseCounterName(name: string): { name: string, dimensions: { [name: string]: string } } {
+        let dimensions: { [name: string]: string } = {};
+
+        let match = this._parseDimensions ? /^(.+)\[(.*)\]$/.exec(name) : null;
+        if (match == null) {
+            return { name: name, dimensions: dimensions };
+        }
+
+        for (let pair of this.splitNames(match[2])) {
+            let pos = pair.indexOf("=");
+            if (pos > 0) {
+                dimensions[pair.substring(0, pos).trim()] = pair.substring(pos + 1).trim();
+            }
+        }
+        return { name: match[1], dimensions: dimensions };
+    }
+
+    private getDimensionRollups(dimensions: { [name: string]: string }): any[][] {
+        let names = Object.keys(dimensions).filter(name => dimensions[name] != null && dimensions[name] != "");
+        let rollups = this._rollups || [names];
+
+        return rollups.map(rollup => {
+            return rollup.filter(name => names.indexOf(name) >= 0)
+                .map(name => { return { Name: name, Value: dimensions[name] }; });
+        });
+    }
+
+    private getCounterData(counter: Counter, name: string, now: Date, dimensions: any[]): any {
         let value = {
-            MetricName: counter.name,
+            MetricName: name,
             Timestamp: counter.time,
             Dimensions: dimensions,
             Unit: CloudWatchUnit.None,
@@ -214,12 +326,7 @@ export class CloudWatchCounters extends CachedCounters implements IReferenceable
     protected async save(counters: Counter[]): Promise<void> {
         if (this._client == null) return;
 
-        let dimensions = [];
-        dimensions.push({
-            Name: "InstanceID",
-            Value: this._instance
-        });
-
+        let staticDimensions = this.getStaticDimensions();
         let now = new Date();
 
         let data = [];
@@ -230,13 +337,18 @@ export class CloudWatchCounters extends CachedCounters implements IReferenceable
         };
 
         for (const counter of counters) {
-            data.push(this.getCounterData(counter, now, dimensions));
-            if (data.length >= 20) {
-                await this.putMetricData({
-                    MetricData: data,
-                    Namespace: this._source
-                });
-                data = [];
+            let metric = this.parseCounterName(counter.name);
+            let dimensions = Object.assign({}, staticDimensions, metric.dimensions);
+
+            for (let rollup of this.getDimensionRollups(dimensions)) {
+                data.push(this.getCounterData(counter, metric.name, now, rollup));
+                if (data.length >= 20) {
+                    await this.putMetricData({
+                        MetricData: data,
+                        Namespace: this._source
+                    });
+                    data = [];
+                }
             }
         }
         if (data.length > 0) {
@@ -247,16 +359,12 @@ export class CloudWatchCounters extends CachedCounters implements IReferenceable
         }
     }
 
-    private async putMetricData(params: any): Promise<void> {
-        return new Promise((res, rej) => {
-            this._client.putMetricData(params, (err, data) => {
-                if (err) {
-                    if (this._logger) this._logger.error("cloudwatch_counters", err, "putMetricData error");
-                    rej(err);
-                    return;
-                }
-                res(data);
-            });
-        });
+    private async putMetricData(params: PutMetricDataCommandInput): Promise<void> {
+        try {
+            await this._client.send(new PutMetricDataCommand(params));
+        } catch (err) {
+            if (this._logger) this._logger.error("cloudwatch_counters", err, "putMetricData error");
+            throw err;
+        }
     }
 }
\ No newline at end of file
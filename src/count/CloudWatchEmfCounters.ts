@@ -0,0 +1,175 @@
+/** @module count */
+import { IReferenceable } from 'pip-services3-commons-nodex';
+import { IReferences } from 'pip-services3-commons-nodex';
+import { ConfigParams } from 'pip-services3-commons-nodex';
+import { Descriptor } from 'pip-services3-commons-nodex';
+import { CounterType } from 'pip-services3-components-nodex';
+import { CachedCounters, Counter } from 'pip-services3-components-nodex';
+import { ContextInfo } from 'pip-services3-components-nodex';
+
+import { CloudWatchUnit } from './CloudWatchUnit';
+
+/**
+ * Performance counters that write measurements as AWS CloudWatch Embedded Metric Format (EMF)
+ * JSON lines to standard output. In AWS Lambda the lines are picked up by CloudWatch Logs
+ * and converted into metrics without additional network calls.
+ *
+ * Interval and statistics counters are written as average values under the counter name
+ * together with <code>.count</code>, <code>.min</code> and <code>.max</code> metrics,
+ * so the statistics can be aggregated across instances.
+ *
+ * ### Configuration parameters ###
+ *
+ * - source:                    (optional) metrics namespace (default: context name, Lambda function name or "pip-services")
+ * - instance:                  (optional) value of InstanceID dimension (default: context id). The dimension is omitted when it is not set
+ * - options:
+ *     - interval:              interval in milliseconds to save current counters measurements (default: 5 mins)
+ *     - reset_timeout:         timeout in milliseconds to reset the counters. 0 disables the reset (default: 0)
+ *
+ * ### References ###
+ *
+ * - <code>\*:context-info:\*:\*:1.0</code>      (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/classes/info.contextinfo.html ContextInfo]] to detect the context id and specify counters source
+ *
+ * @see [[CloudWatchCounters]]
+ * @see [[https://docs.aws.amazon.com/AmazonCloudWatch/latest/monitoring/CloudWatch_Embedded_Metric_Format_Specification.html Embedded Metric Format]]
+ *
+ * ### Example ###
+ *
+ *     let counters = new CloudWatchEmfCounters();
+ *     counters.configure(ConfigParams.fromTuples(
+ *         "source", "mynamespace"
+ *     ));
+ *
+ *     counters.increment("mycomponent.mymethod.calls");
+ *     let timing = counters.beginTiming("mycomponent.mymethod.exec_time");
+ *     try {
+ *         ...
+ *     } finally {
+ *         timing.endTiming();
+ *     }
+ *
+ *     counters.dump();
+ */
+export class CloudWatchEmfCounters extends CachedCounters implements IReferenceable {
+    private static readonly _maxMetrics = 100;
+
+    private _source: string;
+    private _instance: string;
+    private _writer: (line: string) => void;
+
+    /**
+     * Creates a new instance of this counters.
+     *
+     * @param writer    (optional) a function to write EMF lines (default: writes to stdout)
+     */
+    public constructor(writer?: (line: string) => void) {
+        super();
+        this._writer = writer || ((line) => { process.stdout.write(line + "\n"); });
+    }
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        super.configure(config);
+
+        this._source = config.getAsStringWithDefault('source', this._source);
+        this._instance = config.getAsStringWithDefault('instance', this._instance);
+    }
+
+	/**
+	 * Sets references to dependent components.
+	 *
+	 * @param references 	references to locate the component dependencies.
+	 * @see [[https://pip-services3-nodex.github.io/pip-services3-commons-nodex/interfaces/refer.ireferences.html IReferences]] (in the Pip.Services commons package)
+	 */
+    public setReferences(references: IReferences): void {
+        let contextInfo = references.getOneOptional<ContextInfo>(
+            new Descriptor("pip-services", "context-info", "default", "*", "1.0"));
+        if (contextInfo != null && this._source == null)
+            this._source = contextInfo.name;
+        if (contextInfo != null && this._instance == null)
+            this._instance = contextInfo.contextId;
+    }
+
+    /**
+     * Sets a function to write EMF lines.
+     *
+     * @param writer    a function that writes a single EMF line.
+     */
+    public setWriter(writer: (line: string) => void): void {
+        this._writer = writer;
+    }
+
+    private getCounterValues(counter: Counter): { name: string, unit: string, value: number }[] {
+        switch (counter.type) {
+            case CounterType.Increment:
+                return [{ name: counter.name, unit: CloudWatchUnit.Count, value: counter.count }];
+            case CounterType.Interval:
+                return this.getStatisticsValues(counter, CloudWatchUnit.Milliseconds);
+            case CounterType.Statistics:
+                return this.getStatisticsValues(counter, CloudWatchUnit.None);
+            case CounterType.LastValue:
+                return [{ name: counter.name, unit: CloudWatchUnit.None, value: counter.last }];
+            case CounterType.Timestamp:
+                return [{ name: counter.name, unit: CloudWatchUnit.None, value: counter.time.getTime() }];
+        }
+        return [];
+    }
+
+    private getStatisticsValues(counter: Counter, unit: string): { name: string, unit: string, value: number }[] {
+        return [
+            { name: counter.name, unit: unit, value: counter.average },
+            { name: counter.name + ".count", unit: CloudWatchUnit.Count, value: counter.count },
+            { name: counter.name + ".min", unit: unit, value: counter.min },
+            { name: counter.name + ".max", unit: unit, value: counter.max }
+        ];
+    }
+
+    private writeMetrics(values: { name: string, unit: string, value: number }[], now: Date): void {
+        let directive: any = {
+            Namespace: this._source || process.env.AWS_LAMBDA_FUNCTION_NAME || "pip-services",
+            Dimensions: [[]],
+            Metrics: []
+        };
+        let line: any = {
+            _aws: {
+                Timestamp: now.getTime(),
+                CloudWatchMetrics: [directive]
+            }
+        };
+
+        if (this._instance != null) {
+            directive.Dimensions = [["InstanceID"]];
+            line.InstanceID = this._instance;
+        }
+
+        for (let value of values) {
+            directive.Metrics.push({ Name: value.name, Unit: value.unit });
+            line[value.name] = value.value;
+        }
+
+        this._writer(JSON.stringify(line));
+    }
+
+    /**
+     * Saves the current counters measurements.
+     *
+     * @param counters      current counters measurements to be saves.
+     */
+    protected save(counters: Counter[]): void {
+        let now = new Date();
+
+        let values = [];
+        for (let counter of counters) {
+            values.push(...this.getCounterValues(counter).filter(v => v.value != null));
+        }
+
+        // EMF allows up to 100 metrics per line
+        for (let index = 0; index < values.length; index += CloudWatchEmfCounters._maxMetrics) {
+            this.writeMetrics(values.slice(index, index + CloudWatchEmfCounters._maxMetrics), now);
+        }
+    }
+}
@@ -1,3 +1,4 @@
 /** @module count */
 export { CloudWatchCounters } from './CloudWatchCounters';
+export { CloudWatchEmfCounters } from './CloudWatchEmfCounters';
 export { CloudWatchUnit } from './CloudWatchUnit'
\ No newline at end of file
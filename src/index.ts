@@ -2,6 +2,8 @@
 export * from './clients';
 export * from './services';
 export * from './containers';
+export * from './adapters';
+export * from './payloads';
 export * from './connect';
 export * from './log';
 export * from './count';
@@ -11,11 +11,19 @@ import { CompositeLogger } from 'pip-services3-components-nodex';
 import { ContextInfo } from 'pip-services3-components-nodex';
 import { Descriptor } from 'pip-services3-commons-nodex'
 
-import { CloudWatchLogs } from 'aws-sdk';
-import { config } from 'aws-sdk';
+import { CloudWatchLogsClient } from '@aws-sdk/client-cloudwatch-logs';
+import { CreateLogGroupCommand } from '@aws-sdk/client-cloudwatch-logs';
+import { CreateLogStreamCommand } from '@aws-sdk/client-cloudwatch-logs';
+import { DescribeLogStreamsCommand } from '@aws-sdk/client-cloudwatch-logs';
+import { DescribeLogStreamsCommandInput } from '@aws-sdk/client-cloudwatch-logs';
+import { DescribeLogStreamsCommandOutput } from '@aws-sdk/client-cloudwatch-logs';
+import { PutLogEventsCommand } from '@aws-sdk/client-cloudwatch-logs';
+import { PutLogEventsCommandInput } from '@aws-sdk/client-cloudwatch-logs';
+import { PutLogEventsCommandOutput } from '@aws-sdk/client-cloudwatch-logs';
 
 import { AwsConnectionResolver } from '../connect/AwsConnectionResolver';
 import { AwsConnectionParams } from '../connect/AwsConnectionParams';
+import { AwsClientConfig } from '../connect/AwsClientConfig';
 
 /**
  * Logger that writes log messages to AWS Cloud Watch Log.
@@ -24,16 +32,34 @@ import { AwsConnectionParams } from '../connect/AwsConnectionParams';
  * 
  * - stream:                        (optional) Cloud Watch Log stream (default: context name)
  * - group:                         (optional) Cloud Watch Log group (default: context instance ID or hostname)
+ * - format:                        (optional) log message format: "text" or "json" (default: "text")
  * - connections:                   
  *     - discovery_key:               (optional) a key to retrieve the connection from [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/connect.idiscovery.html IDiscovery]]
  *     - region:                      (optional) AWS region
+ *     - endpoint:                    (optional) custom service endpoint URL
+ *     - uri:                         (optional) alternative to endpoint
+ *     - endpoints.logs:              (optional) endpoint URL that overrides endpoint for CloudWatch Logs service
+ *     - endpoints.sts:               (optional) endpoint URL that overrides endpoint for STS when role_arn is set
  * - credentials:    
  *     - store_key:                   (optional) a key to retrieve the credentials from [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/auth.icredentialstore.html ICredentialStore]]
- *     - access_id:                   AWS access/client id
- *     - access_key:                  AWS access/client id
+ *     - access_id:                   (optional) AWS access/client id
+ *     - access_key:                  (optional) AWS access/client id
+ *     - session_token:               (optional) AWS session token for temporary credentials
+ *     - profile:                     (optional) profile in shared AWS config and credentials files
+ *     - role_arn:                    (optional) ARN of IAM role to assume via STS
+ *     - external_id:                 (optional) external id required to assume the role
  * - options:
  *     - interval:        interval in milliseconds to save current counters measurements (default: 5 mins)
  *     - reset_timeout:   timeout in milliseconds to reset the counters. 0 disables the reset (default: 0)
+ *     - connect_timeout: (optional) connection timeout in milliseconds (default: 30 sec)
+ *     - timeout:         (optional) request timeout in milliseconds (default: 0 - no timeout)
+ *     - max_retries:     (optional) maximum number of retries for failed requests (default: SDK default)
+ *     - keep_alive:      (optional) true to reuse connections (default: true)
+ *     - max_sockets:     (optional) maximum number of sockets per host (default: 50)
+ *     - proxy:           (optional) URL of HTTP(s) proxy server
+ *     - tls:             (optional) false to use plain HTTP for default endpoints (default: true)
+ *     - reject_unauthorized:(optional) false to accept self-signed TLS certificates (default: true)
+ *     - force_path_style:(optional) true to use path-style URLs with custom endpoints (default: false)
  * 
  * ### References ###
  * 
@@ -72,12 +98,14 @@ export class CloudWatchLogger extends CachedLogger implements IReferenceable, IO
     private _timer: any;
 
     private _connectionResolver: AwsConnectionResolver = new AwsConnectionResolver();
-    private _client: any = null; //AmazonCloudWatchLogsClient
+    private _client: CloudWatchLogsClient = null;
     private _connection: AwsConnectionParams;
-    private _connectTimeout: number = 30000;
+    private _clientConfig: AwsClientConfig = new AwsClientConfig(30000);
 
     private _group: string = "undefined";
     private _stream: string = null;
+    private _format: string = "text";
+    private _context: any = null;
     private _lastToken: string = null;
 
     private _logger: CompositeLogger = new CompositeLogger();
@@ -100,7 +128,8 @@ export class CloudWatchLogger extends CachedLogger implements IReferenceable, IO
 
         this._group = config.getAsStringWithDefault('group', this._group);
         this._stream = config.getAsStringWithDefault('stream', this._stream);
-        this._connectTimeout = config.getAsIntegerWithDefault("options.connect_timeout", this._connectTimeout);
+        this._format = config.getAsStringWithDefault('format', this._format).toLowerCase();
+        this._clientConfig.configure(config);
     }
 
 	/**
@@ -120,6 +149,12 @@ export class CloudWatchLogger extends CachedLogger implements IReferenceable, IO
             this._stream = contextInfo.name;
         if (contextInfo != null && this._group == null)
             this._group = contextInfo.contextId;
+        if (contextInfo != null) {
+            this._context = Object.assign({
+                name: contextInfo.name,
+                id: contextInfo.contextId
+            }, contextInfo.properties);
+        }
     }
 
     /**
@@ -159,50 +194,43 @@ export class CloudWatchLogger extends CachedLogger implements IReferenceable, IO
 
         this._connection = await this._connectionResolver.resolve(correlationId);
 
-        config.update({
-            accessKeyId: this._connection.getAccessId(),
-            secretAccessKey: this._connection.getAccessKey(),
-            region: this._connection.getRegion()
-        });
-
-        config.httpOptions = {
-            timeout: this._connectTimeout
-        };
-
-        this._client = new CloudWatchLogs({ apiVersion: '2014-03-28' });
+        this._client = new CloudWatchLogsClient(this._clientConfig.compose(
+            this._connection, this._connectionResolver.getCredentials(this._connection), "logs"
+        ));
 
         try {
-            await this.createLogGroup({
+            await this._client.send(new CreateLogGroupCommand({
                 logGroupName: this._group
-            });
+            }));
         } catch (err) {
-            if (err.code != "ResourceAlreadyExistsException") {
+            if (err.name != "ResourceAlreadyExistsException") {
                 throw err;
             }
         }
 
         try {
-            await this.createLogStream({
+            await this._client.send(new CreateLogStreamCommand({
                 logGroupName: this._group,
                 logStreamName: this._stream
-            });
+            }));
+            this._lastToken = null;
         } catch (err) {
-            if (err.code == "ResourceAlreadyExistsException") {
-                const data = await this.describeLogStreams({
-                    logGroupName: this._group,
-                    logStreamNamePrefix: this._stream,
-                });
-                if (data.logStreams.length > 0) {
-                    this._lastToken = data.logStreams[0].uploadSequenceToken;
-                }
-                if (this._timer == null) {
-                    this._timer = setInterval(() => { this.dump() }, this._interval);
-                }
-                return;
+            if (err.name != "ResourceAlreadyExistsException") {
+                throw err;
+            }
+
+            const data = await this.describeLogStreams({
+                logGroupName: this._group,
+                logStreamNamePrefix: this._stream,
+            });
+            if (data.logStreams.length > 0) {
+                this._lastToken = data.logStreams[0].uploadSequenceToken;
             }
-            throw err;
         }
-        this._lastToken = null;
+
+        if (this._timer == null) {
+            this._timer = setInterval(() => { this.dump() }, this._interval);
+        }
     }
 
 	/**
@@ -219,10 +247,58 @@ export class CloudWatchLogger extends CachedLogger implements IReferenceable, IO
 
         this._cache = [];
         this._timer = null;
-        this._client = null;
+
+        if (this._client != null) {
+            this._client.destroy();
+            this._client = null;
+        }
     }
 
-    private formatMessageText(message: LogMessage): string {
+    /**
+     * Saves all cached log messages and waits until they are written.
+     * Unlike dump() it can be awaited, so messages are not lost
+     * when AWS Lambda freezes or terminates the process.
+     */
+    public async flush(): Promise<void> {
+        if (this._cache.length == 0) {
+            return;
+        }
+
+        let messages = this._cache;
+        this._cache = [];
+        this._updated = false;
+        this._lastDumpTime = new Date().getTime();
+
+        try {
+            await this.save(messages);
+        } catch (err) {
+            // Add messages back to the cache
+            messages.push(...this._cache);
+            this._cache = messages.slice(Math.max(0, messages.length - this._maxCacheSize));
+            throw err;
+        }
+    }
+
+    /**
+     * Formats a log message according to the configured format.
+     * 
+     * @param message   a log message to format.
+     * @returns the formatted message text.
+     */
+    protected formatMessage(message: LogMessage): string {
+        if (this._format == "json") {
+            return this.formatMessageJson(message);
+        }
+        return this.formatMessageText(message);
+    }
+
+    /**
+     * Formats a log message as a flat text line.
+     * 
+     * @param message   a log message to format.
+     * @returns the formatted message text.
+     */
+    protected formatMessageText(message: LogMessage): string {
         let result: string = "";
         result += "[" + (message.source ? message.source : "---") + ":" +
             (message.correlation_id ? message.correlation_id : "---") + ":" + message.level + "] " +
@@ -244,6 +320,41 @@ export class CloudWatchLogger extends CachedLogger implements IReferenceable, IO
         return result;
     }
 
+    /**
+     * Formats a log message as a JSON object that can be queried by CloudWatch Logs Insights.
+     * 
+     * @param message   a log message to format.
+     * @returns the formatted message text.
+     */
+    protected formatMessageJson(message: LogMessage): string {
+        let result: any = {
+            time: message.time,
+            level: message.level,
+            source: message.source,
+            correlation_id: message.correlation_id,
+            message: message.message
+        };
+
+        if (message.error != null) {
+            result.error = {
+                type: message.error.type,
+                category: message.error.category,
+                code: message.error.code,
+                status: message.error.status,
+                message: message.error.message,
+                details: message.error.details,
+                cause: message.error.cause,
+                stack_trace: message.error.stack_trace
+            };
+        }
+
+        if (this._context != null) {
+            result.context = this._context;
+        }
+
+        return JSON.stringify(result);
+    }
+
     /**
      * Saves log messages from the cache.
      * 
@@ -264,7 +375,7 @@ export class CloudWatchLogger extends CachedLogger implements IReferenceable, IO
         messages.forEach(message => {
             events.push({
                 timestamp: message.time.getTime(),
-                message: this.formatMessageText(message)
+                message: this.formatMessage(message)
             });
         });
 
@@ -283,75 +394,21 @@ export class CloudWatchLogger extends CachedLogger implements IReferenceable, IO
             logStreamName: this._stream,
             sequenceToken: this._lastToken
         });
-        this._lastToken = logData.nextSequenceToken;
-    }
-
-    private async createLogGroup(params: any): Promise<void> {
-        return new Promise((res, rej) => {
-            this._client.createLogGroup(params, err => {
-                if (err) {
-                    rej(err);
-                    return;
-                }
-                res();
-            });
-        });
-    }
-
-    private async describeLogStreams(params: any): Promise<any> {
-        return new Promise((res, rej) => {
-            this._client.describeLogStreams(params, (err, data) => {
-                if (err) {
-                    rej(err);
-                    return;
-                }
-                res(data);
-            });
-        });
+        if (logData != null) {
+            this._lastToken = logData.nextSequenceToken;
+        }
     }
 
-    private async createLogStream(paramsStream): Promise<any> {
-        return new Promise((res, rej) => {
-            this._client.createLogStream(paramsStream, (err, data) => {
-                if (err) {
-                    if (err.code == "ResourceAlreadyExistsException") {
-
-                        let params = {
-                            logGroupName: this._group,
-                            logStreamNamePrefix: this._stream,
-                        };
-
-                        this._client.describeLogStreams(params, (err, data) => {
-                            if (data.logStreams.length > 0) {
-                                this._lastToken = data.logStreams[0].uploadSequenceToken;
-                            }
-                            rej(err);
-                            return;
-                        });
-
-                    }
-                    else {
-                        rej(err);
-                        return;
-                    }
-                }
-                else {
-                    this._lastToken = null;
-                    res(data);
-                    return;
-                }
-            });
-        });
+    private async describeLogStreams(params: DescribeLogStreamsCommandInput): Promise<DescribeLogStreamsCommandOutput> {
+        return this._client.send(new DescribeLogStreamsCommand(params));
     }
 
-    private async putLogEvents(params: any): Promise<any> {
-        return new Promise((res, rej) => {
-            this._client.putLogEvents(params, (err, data) => {
-                if (err) {
-                    if (this._logger) this._logger.error("cloudwatch_logger", err, "putLogEvents error");
-                }
-                res(data);
-            });
-        });
+    private async putLogEvents(params: PutLogEventsCommandInput): Promise<PutLogEventsCommandOutput> {
+        try {
+            return await this._client.send(new PutLogEventsCommand(params));
+        } catch (err) {
+            if (this._logger) this._logger.error("cloudwatch_logger", err, "putLogEvents error");
+            return null;
+        }
     }
 }
\ No newline at end of file
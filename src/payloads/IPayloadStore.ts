@@ -0,0 +1,37 @@
+/** @module payloads */
+
+/**
+ * An interface for blob stores that keep Lambda payloads too large
+ * to be passed in invocation requests or responses.
+ *
+ * @see [[PayloadOffloader]]
+ * @see [[S3PayloadStore]]
+ * @see [[MemoryPayloadStore]]
+ */
+export interface IPayloadStore {
+    /**
+     * Saves a payload under the specified key.
+     *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param key               a unique payload key.
+     * @param data              a serialized payload.
+     */
+    put(correlationId: string, key: string, data: Buffer): Promise<void>;
+
+    /**
+     * Reads a payload by its key.
+     *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param key               a unique payload key.
+     * @returns the serialized payload or <code>null</code> if it was not found.
+     */
+    get(correlationId: string, key: string): Promise<Buffer>;
+
+    /**
+     * Removes a payload by its key.
+     *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param key               a unique payload key.
+     */
+    remove(correlationId: string, key: string): Promise<void>;
+}
@@ -0,0 +1,62 @@
+/** @module payloads */
+import { IPayloadStore } from './IPayloadStore';
+
+/**
+ * Payload store that keeps payloads in memory.
+ *
+ * It is only useful when the client and the function run in the same process,
+ * for instance in tests or with local invocations.
+ *
+ * @see [[IPayloadStore]]
+ * @see [[PayloadOffloader]]
+ *
+ * ### Example ###
+ *
+ *     let store = new MemoryPayloadStore();
+ *     await store.put("123", "key1", Buffer.from("ABC"));
+ *     let data = await store.get("123", "key1");
+ */
+export class MemoryPayloadStore implements IPayloadStore {
+    private _payloads: { [key: string]: Buffer } = {};
+
+    /**
+     * Saves a payload under the specified key.
+     *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param key               a unique payload key.
+     * @param data              a serialized payload.
+     */
+    public async put(correlationId: string, key: string, data: Buffer): Promise<void> {
+        this._payloads[key] = data;
+    }
+
+    /**
+     * Reads a payload by its key.
+     *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param key               a unique payload key.
+     * @returns the serialized payload or <code>null</code> if it was not found.
+     */
+    public async get(correlationId: string, key: string): Promise<Buffer> {
+        return this._payloads[key] || null;
+    }
+
+    /**
+     * Removes a payload by its key.
+     *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param key               a unique payload key.
+     */
+    public async remove(correlationId: string, key: string): Promise<void> {
+        delete this._payloads[key];
+    }
+
+    /**
+     * Gets the number of stored payloads.
+     *
+     * @returns the number of stored payloads.
+     */
+    public getCount(): number {
+        return Object.keys(this._payloads).length;
+    }
+}
@@ -0,0 +1,227 @@
+/** @module payloads */
+import { IConfigurable } from 'pip-services3-commons-nodex';
+import { IReferenceable } from 'pip-services3-commons-nodex';
+import { IReferences } from 'pip-services3-commons-nodex';
+import { ConfigParams } from 'pip-services3-commons-nodex';
+import { Descriptor } from 'pip-services3-commons-nodex';
+import { IdGenerator } from 'pip-services3-commons-nodex';
+import { BadRequestException } from 'pip-services3-commons-nodex';
+import { InvocationException } from 'pip-services3-commons-nodex';
+import { CompositeLogger } from 'pip-services3-components-nodex';
+
+import { IPayloadStore } from './IPayloadStore';
+
+/**
+ * Replaces Lambda payloads that exceed the size threshold with pointers
+ * to copies saved in a referenced [[IPayloadStore]], and resolves those pointers back.
+ *
+ * A pointer is an object with a single <code>payload_pointer</code> property
+ * that holds the payload key, its size and a flag telling the reader to remove
+ * the stored payload after reading it.
+ *
+ * Without a payload store, payloads over the threshold are rejected with PAYLOAD_TOO_LARGE error
+ * before they are sent to AWS Lambda.
+ *
+ * ### Configuration parameters ###
+ *
+ * - options:
+ *     - payload:
+ *         - threshold:             (optional) maximum size in bytes of synchronous payloads (default: 6 MB)
+ *         - event_threshold:       (optional) maximum size in bytes of asynchronous payloads (default: 256 KB)
+ *
+ * ### References ###
+ *
+ * - <code>\*:logger:\*:\*:1.0</code>            (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/log.ilogger.html ILogger]] components to pass log messages
+ * - <code>\*:payload-store:\*:\*:1.0</code>     (optional) [[IPayloadStore]] to keep large payloads
+ *
+ * @see [[LambdaClient]]
+ * @see [[LambdaFunction]]
+ *
+ * ### Example ###
+ *
+ *     let offloader = new PayloadOffloader();
+ *     offloader.setStore(new MemoryPayloadStore());
+ *
+ *     let data = JSON.stringify(largeObject);
+ *     let pointer = await offloader.offload("123", data, "RequestResponse", true);
+ *     ...
+ *     let value = await offloader.resolve("123", pointer);
+ */
+export class PayloadOffloader implements IConfigurable, IReferenceable {
+    /**
+     * The name of the pointer property.
+     */
+    public static readonly PointerProperty = "payload_pointer";
+
+    private _threshold: number = 6 * 1024 * 1024;
+    private _eventThreshold: number = 256 * 1024;
+    private _store: IPayloadStore = null;
+
+    /**
+     * The logger.
+     */
+    protected _logger: CompositeLogger = new CompositeLogger();
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._threshold = config.getAsIntegerWithDefault("options.payload.threshold", this._threshold);
+        this._eventThreshold = config.getAsIntegerWithDefault("options.payload.event_threshold", this._eventThreshold);
+    }
+
+    /**
+	 * Sets references to dependent components.
+	 *
+	 * @param references 	references to locate the component dependencies.
+     */
+    public setReferences(references: IReferences): void {
+        this._logger.setReferences(references);
+
+        let store = references.getOneOptional<IPayloadStore>(
+            new Descriptor("*", "payload-store", "*", "*", "1.0"));
+        if (store != null && typeof store.put === "function") {
+            this._store = store;
+        }
+    }
+
+    /**
+     * Sets the payload store.
+     *
+     * @param store     a payload store to keep large payloads.
+     */
+    public setStore(store: IPayloadStore): void {
+        this._store = store;
+    }
+
+    /**
+     * Checks if the payload store is set, so large payloads can be offloaded.
+     *
+     * @returns <code>true</code> if the payload store is set and <code>false</code> otherwise.
+     */
+    public hasStore(): boolean {
+        return this._store != null;
+    }
+
+    /**
+     * Gets maximum size of payloads that are passed to AWS Lambda directly.
+     *
+     * @param invocationType    an invocation type: "RequestResponse" or "Event"
+     * @returns the maximum payload size in bytes.
+     */
+    public getThreshold(invocationType: string): number {
+        return invocationType == 'Event' ? this._eventThreshold : this._threshold;
+    }
+
+    /**
+     * Checks if the value is a payload pointer.
+     *
+     * @param value     a value to be checked.
+     * @returns <code>true</code> if the value is a payload pointer and <code>false</code> otherwise.
+     */
+    public isPointer(value: any): boolean {
+        if (value == null || typeof value != 'object') {
+            return false;
+        }
+
+        let pointer = value[PayloadOffloader.PointerProperty];
+        return pointer != null && typeof pointer.key == 'string' && Object.keys(value).length == 1;
+    }
+
+    /**
+     * Saves the payload into the store when it exceeds the size threshold.
+     *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param data              a serialized payload.
+     * @param invocationType    an invocation type: "RequestResponse" or "Event"
+     * @param cleanup           <code>true</code> if the reader shall remove the stored payload.
+     * @returns a pointer to the stored payload or <code>null</code> if the payload is small enough.
+     */
+    public async offload(correlationId: string, data: string, invocationType: string,
+        cleanup: boolean): Promise<any> {
+        let size = Buffer.byteLength(data, 'utf8');
+        let threshold = this.getThreshold(invocationType);
+        if (size <= threshold) {
+            return null;
+        }
+
+        if (this._store == null) {
+            throw new BadRequestException(
+                correlationId,
+                'PAYLOAD_TOO_LARGE',
+                'Payload size ' + size + ' exceeds the limit of ' + threshold + ' bytes'
+            )
+            .withDetails('size', size)
+            .withDetails('limit', threshold);
+        }
+
+        let key = IdGenerator.nextLong();
+        await this._store.put(correlationId, key, Buffer.from(data, 'utf8'));
+        this._logger.debug(correlationId, "Offloaded payload of %d bytes to %s", size, key);
+
+        let pointer: any = {};
+        pointer[PayloadOffloader.PointerProperty] = { key: key, size: size, cleanup: cleanup };
+        return pointer;
+    }
+
+    /**
+     * Loads the payload referenced by a pointer.
+     * The stored payload is removed when the pointer requests cleanup.
+     * Other values are returned as they are.
+     *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param value             a payload pointer or a regular value.
+     * @returns the original payload.
+     */
+    public async resolve(correlationId: string, value: any): Promise<any> {
+        if (!this.isPointer(value)) {
+            return value;
+        }
+
+        let pointer = value[PayloadOffloader.PointerProperty];
+        if (this._store == null) {
+            throw new InvocationException(
+                correlationId,
+                'NO_PAYLOAD_STORE',
+                'Payload store is not configured to read payload ' + pointer.key
+            ).withDetails('key', pointer.key);
+        }
+
+        let data = await this._store.get(correlationId, pointer.key);
+        if (data == null) {
+            throw new InvocationException(
+                correlationId,
+                'PAYLOAD_NOT_FOUND',
+                'Offloaded payload ' + pointer.key + ' was not found'
+            ).withDetails('key', pointer.key);
+        }
+
+        if (pointer.cleanup) {
+            await this.remove(correlationId, value);
+        }
+
+        return JSON.parse(data.toString('utf8'));
+    }
+
+    /**
+     * Removes the payload referenced by a pointer.
+     * Errors are logged and ignored, since orphaned payloads are expired by the store.
+     *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param value             a payload pointer.
+     */
+    public async remove(correlationId: string, value: any): Promise<void> {
+        if (!this.isPointer(value) || this._store == null) {
+            return;
+        }
+
+        let key = value[PayloadOffloader.PointerProperty].key;
+        try {
+            await this._store.remove(correlationId, key);
+        } catch (err) {
+            this._logger.warn(correlationId, "Failed to remove offloaded payload %s: %s", key, err.message);
+        }
+    }
+}
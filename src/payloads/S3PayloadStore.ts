@@ -0,0 +1,224 @@
+/** @module payloads */
+import { IConfigurable } from 'pip-services3-commons-nodex';
+import { IReferenceable } from 'pip-services3-commons-nodex';
+import { IReferences } from 'pip-services3-commons-nodex';
+import { IOpenable } from 'pip-services3-commons-nodex';
+import { ConfigParams } from 'pip-services3-commons-nodex';
+import { ConfigException } from 'pip-services3-commons-nodex';
+import { InvocationException } from 'pip-services3-commons-nodex';
+import { CompositeLogger } from 'pip-services3-components-nodex';
+
+import { S3Client } from '@aws-sdk/client-s3';
+import { PutObjectCommand } from '@aws-sdk/client-s3';
+import { GetObjectCommand } from '@aws-sdk/client-s3';
+import { DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+import { AwsConnectionResolver } from '../connect/AwsConnectionResolver';
+import { AwsConnectionParams } from '../connect/AwsConnectionParams';
+import { AwsClientConfig } from '../connect/AwsClientConfig';
+import { IPayloadStore } from './IPayloadStore';
+
+/**
+ * Payload store that keeps large Lambda payloads in AWS S3 bucket.
+ *
+ * Payloads are removed by the side that reads them. Payloads of asynchronous invocations
+ * are kept, since AWS Lambda may retry them, so the bucket shall have a lifecycle rule
+ * that expires objects under the configured prefix.
+ *
+ * ### Configuration parameters ###
+ *
+ * - connection:
+ *     - discovery_key:         (optional) a key to retrieve the connection from [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/connect.idiscovery.html IDiscovery]]
+ *     - region:                (optional) AWS region
+ *     - resource:              (optional) alternative to options.bucket
+ *     - endpoint:              (optional) custom service endpoint URL
+ *     - uri:                   (optional) alternative to endpoint
+ *     - endpoints.s3:          (optional) endpoint URL that overrides endpoint for S3 service
+ *     - endpoints.sts:         (optional) endpoint URL that overrides endpoint for STS when role_arn is set
+ * - credentials:
+ *     - store_key:             (optional) a key to retrieve the credentials from [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/auth.icredentialstore.html ICredentialStore]]
+ *     - access_id:             (optional) AWS access/client id
+ *     - access_key:            (optional) AWS access/client id
+ *     - session_token:         (optional) AWS session token for temporary credentials
+ *     - profile:               (optional) profile in shared AWS config and credentials files
+ *     - role_arn:              (optional) ARN of IAM role to assume via STS
+ *     - external_id:           (optional) external id required to assume the role
+ * - options:
+ *     - bucket:                name of S3 bucket to store payloads
+ *     - prefix:                (optional) prefix of object keys (default: "lambda-payloads/")
+ *     - connect_timeout:       (optional) connection timeout in milliseconds (default: 10 sec)
+ *     - timeout:               (optional) request timeout in milliseconds (default: 0 - no timeout)
+ *     - max_retries:           (optional) maximum number of retries for failed requests (default: SDK default)
+ *     - keep_alive:            (optional) true to reuse connections (default: true)
+ *     - max_sockets:           (optional) maximum number of sockets per host (default: 50)
+ *     - proxy:                 (optional) URL of HTTP(s) proxy server
+ *     - tls:                   (optional) false to use plain HTTP for default endpoints (default: true)
+ *     - reject_unauthorized:   (optional) false to accept self-signed TLS certificates (default: true)
+ *     - force_path_style:      (optional) true to use path-style URLs with custom endpoints (default: false)
+ *
+ * ### References ###
+ *
+ * - <code>\*:logger:\*:\*:1.0</code>            (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/log.ilogger.html ILogger]] components to pass log messages
+ * - <code>\*:discovery:\*:\*:1.0</code>         (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/connect.idiscovery.html IDiscovery]] services to resolve connection
+ * - <code>\*:credential-store:\*:\*:1.0</code>  (optional) Credential stores to resolve credentials
+ *
+ * @see [[IPayloadStore]]
+ * @see [[PayloadOffloader]]
+ *
+ * ### Example ###
+ *
+ *     # config.yml
+ *     - descriptor: "pip-services:payload-store:s3:default:1.0"
+ *       connection:
+ *         region: "us-east-1"
+ *       options:
+ *         bucket: "my-lambda-payloads"
+ */
+export class S3PayloadStore implements IPayloadStore, IConfigurable, IReferenceable, IOpenable {
+    private _connectionResolver: AwsConnectionResolver = new AwsConnectionResolver();
+    private _connection: AwsConnectionParams;
+    private _clientConfig: AwsClientConfig = new AwsClientConfig(10000);
+    private _client: S3Client = null;
+
+    private _bucket: string = null;
+    private _prefix: string = "lambda-payloads/";
+
+    /**
+     * The logger.
+     */
+    protected _logger: CompositeLogger = new CompositeLogger();
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._connectionResolver.configure(config);
+        this._clientConfig.configure(config);
+        this._bucket = config.getAsStringWithDefault("options.bucket", this._bucket);
+        this._prefix = config.getAsStringWithDefault("options.prefix", this._prefix);
+    }
+
+    /**
+	 * Sets references to dependent components.
+	 *
+	 * @param references 	references to locate the component dependencies.
+     */
+    public setReferences(references: IReferences): void {
+        this._logger.setReferences(references);
+        this._connectionResolver.setReferences(references);
+    }
+
+    /**
+	 * Checks if the component is opened.
+	 *
+	 * @returns true if the component has been opened and false otherwise.
+     */
+    public isOpen(): boolean {
+        return this._client != null;
+    }
+
+    /**
+	 * Opens the component.
+	 *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     */
+    public async open(correlationId: string): Promise<void> {
+        if (this.isOpen()) {
+            return;
+        }
+
+        this._connection = await this._connectionResolver.resolve(correlationId);
+        this._bucket = this._bucket || this._connection.getResource();
+        if (this._bucket == null) {
+            throw new ConfigException(
+                correlationId,
+                "NO_BUCKET",
+                "S3 bucket to store payloads is not configured"
+            );
+        }
+
+        this._client = new S3Client(this._clientConfig.compose(
+            this._connection, this._connectionResolver.getCredentials(this._connection), "s3"
+        ));
+        this._logger.debug(correlationId, "Payload store connected to S3 bucket %s", this._bucket);
+    }
+
+    /**
+	 * Closes component and frees used resources.
+	 *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     */
+    public async close(correlationId: string): Promise<void> {
+        if (this._client != null) {
+            this._client.destroy();
+            this._client = null;
+        }
+    }
+
+    /**
+     * Saves a payload under the specified key.
+     *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param key               a unique payload key.
+     * @param data              a serialized payload.
+     */
+    public async put(correlationId: string, key: string, data: Buffer): Promise<void> {
+        try {
+            await this._client.send(new PutObjectCommand({
+                Bucket: this._bucket,
+                Key: this._prefix + key,
+                Body: data,
+                ContentType: 'application/json'
+            }));
+        } catch (err) {
+            throw this.composeError(correlationId, "PUT_FAILED", "Failed to save payload " + key, err);
+        }
+    }
+
+    /**
+     * Reads a payload by its key.
+     *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param key               a unique payload key.
+     * @returns the serialized payload or <code>null</code> if it was not found.
+     */
+    public async get(correlationId: string, key: string): Promise<Buffer> {
+        try {
+            let data = await this._client.send(new GetObjectCommand({
+                Bucket: this._bucket,
+                Key: this._prefix + key
+            }));
+            return Buffer.from(await data.Body.transformToByteArray());
+        } catch (err) {
+            if (err.name == 'NoSuchKey') {
+                return null;
+            }
+            throw this.composeError(correlationId, "GET_FAILED", "Failed to read payload " + key, err);
+        }
+    }
+
+    /**
+     * Removes a payload by its key.
+     *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param key               a unique payload key.
+     */
+    public async remove(correlationId: string, key: string): Promise<void> {
+        try {
+            await this._client.send(new DeleteObjectCommand({
+                Bucket: this._bucket,
+                Key: this._prefix + key
+            }));
+        } catch (err) {
+            throw this.composeError(correlationId, "REMOVE_FAILED", "Failed to remove payload " + key, err);
+        }
+    }
+
+    private composeError(correlationId: string, code: string, message: string, err: any): InvocationException {
+        return <InvocationException>new InvocationException(correlationId, code, message)
+            .withDetails("bucket", this._bucket)
+            .withCause(err);
+    }
+}
@@ -0,0 +1,5 @@
+/** @module payloads */
+export { IPayloadStore } from './IPayloadStore';
+export { MemoryPayloadStore } from './MemoryPayloadStore';
+export { S3PayloadStore } from './S3PayloadStore';
+export { PayloadOffloader } from './PayloadOffloader';
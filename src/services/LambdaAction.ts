@@ -2,6 +2,8 @@
 
 import { Schema } from "pip-services3-commons-nodex";
 
+import { LambdaInvocationContext } from "../containers/LambdaInvocationContext";
+
 export class LambdaAction {
     /**
      * Command to call the action
@@ -14,7 +16,8 @@ export class LambdaAction {
     public schema: Schema;
 
     /**
-     * Action to be executed
+     * Action to be executed.
+     * It receives action parameters and the invocation context.
      */
-    public action: (params: any) => Promise<any>;
+    public action: (params: any, context?: LambdaInvocationContext) => Promise<any>;
 }
\ No newline at end of file
@@ -15,6 +15,7 @@ import { Schema } from 'pip-services3-commons-nodex';
 
 import { LambdaAction } from './LambdaAction';
 import { ILambdaService } from './ILambdaService';
+import { LambdaInvocationContext } from '../containers/LambdaInvocationContext';
 
 /**
  * Abstract service that receives remove calls via AWS Lambda protocol.
@@ -194,9 +195,9 @@ export abstract class LambdaService implements ILambdaService, IOpenable, IConfi
         this._interceptors = [];
     }
 
-    protected applyValidation(schema: Schema, action: (params: any) => Promise<any>): (params: any) => Promise<any> {
+    protected applyValidation(schema: Schema, action: (params: any, context?: LambdaInvocationContext) => Promise<any>): (params: any, context?: LambdaInvocationContext) => Promise<any> {
         // Create an action function
-        let actionWrapper = async (params) => {
+        let actionWrapper = async (params, context?) => {
             // Validate object
             if (schema && params) {
                 // Perform validation                    
@@ -207,21 +208,22 @@ export abstract class LambdaService implements ILambdaService, IOpenable, IConfi
                 }
             }
 
-            let result = await action.call(this, params);
+            let result = await action.call(this, params, context);
             return result;
         };
 
         return actionWrapper;
     }
 
-    protected applyInterceptors(action: (params: any) => Promise<any>): (params: any) => Promise<any> {
+    protected applyInterceptors(action: (params: any, context?: LambdaInvocationContext) => Promise<any>): (params: any, context?: LambdaInvocationContext) => Promise<any> {
         let actionWrapper = action;
 
         for (let index = this._interceptors.length - 1; index >= 0; index--) {
             let interceptor = this._interceptors[index];
             actionWrapper = ((action) => {
-                return (params) => {
-                    return interceptor(params, action);
+                return (params, context?) => {
+                    // Pass the invocation context through interceptors
+                    return interceptor(params, (params) => action(params, context));
                 };
             })(actionWrapper);
         }
@@ -243,8 +245,9 @@ export abstract class LambdaService implements ILambdaService, IOpenable, IConfi
      * @param name          an action name
      * @param schema        a validation schema to validate received parameters.
      * @param action        an action function that is called when operation is invoked.
+     *                      It receives action parameters and the invocation context.
      */
-    protected registerAction(name: string, schema: Schema, action: (params: any) => Promise<any>): void {
+    protected registerAction(name: string, schema: Schema, action: (params: any, context?: LambdaInvocationContext) => Promise<any>): void {
         let actionWrapper = this.applyValidation(schema, action);
         actionWrapper = this.applyInterceptors(actionWrapper);
 
@@ -252,7 +255,7 @@ export abstract class LambdaService implements ILambdaService, IOpenable, IConfi
         let registeredAction: LambdaAction = {
             cmd: this.generateActionCmd(name), 
             schema: schema,
-            action: (params) => { return actionWrapper.call(self, params); }
+            action: (params, context?) => { return actionWrapper.call(self, params, context); }
         };
         this._actions.push(registeredAction);
     }
@@ -267,12 +270,12 @@ export abstract class LambdaService implements ILambdaService, IOpenable, IConfi
      */
     protected registerActionWithAuth(name: string, schema: Schema,
         authorize: (call: any, next: (call: any) => Promise<any>) => Promise<any>,
-        action: (call: any) => Promise<any>): void {
+        action: (call: any, context?: LambdaInvocationContext) => Promise<any>): void {
     
-        let actionWrapper = this.applyValidation(schema, action);
+        let validatedAction = this.applyValidation(schema, action);
         // Add authorization just before validation
-        actionWrapper = (call) => {
-            return authorize(call, actionWrapper);
+        let actionWrapper = (call, context?) => {
+            return authorize(call, (call) => validatedAction(call, context));
         };
         actionWrapper = this.applyInterceptors(actionWrapper);
 
@@ -280,7 +283,7 @@ export abstract class LambdaService implements ILambdaService, IOpenable, IConfi
         let registeredAction: LambdaAction = {
             cmd: this.generateActionCmd(name), 
             schema: schema,
-            action: (params) => { return actionWrapper.call(self, params); }
+            action: (params, context?) => { return actionWrapper.call(self, params, context); }
         };
         this._actions.push(registeredAction);
     }
@@ -310,8 +313,9 @@ export abstract class LambdaService implements ILambdaService, IOpenable, IConfi
      * This method shall only be used in testing.
      * 
      * @param params action parameters.
+     * @param context (optional) the invocation context.
      */
-     public async act(params: any): Promise<any> {
+     public async act(params: any, context?: LambdaInvocationContext): Promise<any> {
         let cmd: string = params.cmd;
         let correlationId = params.correlation_id;
         
@@ -333,7 +337,7 @@ export abstract class LambdaService implements ILambdaService, IOpenable, IConfi
             .withDetails('command', cmd);
         }
 
-        return action.action(params);
+        return action.action(params, context);
     }
 
 }
\ No newline at end of file
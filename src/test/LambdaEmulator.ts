@@ -0,0 +1,293 @@
+/** @module test */
+/** @hidden */
+const http = require('http');
+
+import { IConfigurable } from 'pip-services3-commons-nodex';
+import { IOpenable } from 'pip-services3-commons-nodex';
+import { IReferenceable } from 'pip-services3-commons-nodex';
+import { IReferences } from 'pip-services3-commons-nodex';
+import { ConfigParams } from 'pip-services3-commons-nodex';
+import { ConnectionException } from 'pip-services3-commons-nodex';
+import { IdGenerator } from 'pip-services3-commons-nodex';
+import { CompositeLogger } from 'pip-services3-components-nodex';
+
+/**
+ * Development server that hosts AWS Lambda function handlers behind
+ * the Lambda Invoke HTTP API: <code>POST /2015-03-31/functions/{name}/invocations</code>.
+ *
+ * It lets [[LambdaClient]] configured with a local endpoint call the functions
+ * without deploying them to AWS. The server supports "RequestResponse", "Event" and "DryRun"
+ * invocation types. Errors thrown by handlers are returned with <code>X-Amz-Function-Error</code> header.
+ * Handlers receive a context with <code>awsRequestId</code> and the client context sent by callers.
+ *
+ * Functions are identified by registered names or by the function names in their ARNs.
+ *
+ * ### Configuration parameters ###
+ *
+ * - connection:
+ *     - host:                  (optional) host to listen on (default: "localhost")
+ *     - port:                  (optional) port to listen on (default: 9001)
+ *
+ * ### References ###
+ *
+ * - <code>\*:logger:\*:\*:1.0</code>    (optional) [[https://pip-services3-nodex.github.io/pip-services3-components-nodex/interfaces/log.ilogger.html ILogger]] components to pass log messages
+ *
+ * @see [[LambdaFunction]]
+ * @see [[LambdaClient]]
+ *
+ * ### Example ###
+ *
+ *     let emulator = new LambdaEmulator();
+ *     emulator.configure(ConfigParams.fromTuples(
+ *         "connection.port", 9001
+ *     ));
+ *     emulator.register("mylambda", new MyLambdaFunction().getHandler());
+ *     await emulator.open("123");
+ *
+ *     let client = new MyLambdaClient();
+ *     client.configure(ConfigParams.fromTuples(
+ *         "connection.region", "us-east-1",
+ *         "connection.arn", "arn:aws:lambda:us-east-1:123456789012:function:mylambda",
+ *         "connection.endpoint", "http://localhost:9001",
+ *         "credential.access_id", "test",
+ *         "credential.access_key", "test"
+ *     ));
+ *     await client.open("123");
+ */
+export class LambdaEmulator implements IConfigurable, IReferenceable, IOpenable {
+    private static readonly _invokePath = /^\/2015-03-31\/functions\/([^\/]+)\/invocations\/?$/;
+
+    private _host: string = "localhost";
+    private _port: number = 9001;
+    private _server: any = null;
+    private _handlers: { [name: string]: (event: any, context?: any) => Promise<any> } = {};
+
+    /**
+     * The logger.
+     */
+    protected _logger: CompositeLogger = new CompositeLogger();
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._host = config.getAsStringWithDefault("connection.host", this._host);
+        this._port = config.getAsIntegerWithDefault("connection.port", this._port);
+    }
+
+    /**
+	 * Sets references to dependent components.
+	 *
+	 * @param references 	references to locate the component dependencies.
+     */
+    public setReferences(references: IReferences): void {
+        this._logger.setReferences(references);
+    }
+
+    /**
+     * Registers a function handler under the specified name.
+     *
+     * @param name      a function name used in invocation requests.
+     * @param handler   a function handler returned by LambdaFunction.getHandler().
+     */
+    public register(name: string, handler: (event: any, context?: any) => Promise<any>): void {
+        this._handlers[name] = handler;
+    }
+
+    /**
+	 * Checks if the component is opened.
+	 *
+	 * @returns {boolean} true if the component has been opened and false otherwise.
+     */
+    public isOpen(): boolean {
+        return this._server != null;
+    }
+
+    /**
+	 * Opens the component.
+	 *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     */
+    public async open(correlationId: string): Promise<void> {
+        if (this.isOpen()) {
+            return;
+        }
+
+        let server = http.createServer((req, res) => {
+            this.handleRequest(req, res);
+        });
+
+        await new Promise<void>((resolve, reject) => {
+            server.once('error', (err) => {
+                reject(new ConnectionException(
+                    correlationId,
+                    "CANNOT_LISTEN",
+                    "Failed to start Lambda emulator on " + this._host + ":" + this._port
+                ).withCause(err));
+            });
+            server.listen(this._port, this._host, () => resolve());
+        });
+
+        this._server = server;
+        this._logger.debug(correlationId, "Lambda emulator listening at http://%s:%d", this._host, this._port);
+    }
+
+    /**
+	 * Closes component and frees used resources.
+	 *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     */
+    public async close(correlationId: string): Promise<void> {
+        if (!this.isOpen()) {
+            return;
+        }
+
+        let server = this._server;
+        this._server = null;
+
+        await new Promise<void>((resolve) => {
+            server.close(() => resolve());
+        });
+        this._logger.debug(correlationId, "Lambda emulator stopped");
+    }
+
+    private getHandler(functionName: string): (event: any, context?: any) => Promise<any> {
+        let name = functionName;
+
+        // Convert ARN into the function name and drop the qualifier
+        let pos = name.indexOf(":function:");
+        if (pos >= 0) {
+            name = name.substring(pos + ":function:".length);
+        }
+        pos = name.indexOf(":");
+        if (pos >= 0) {
+            name = name.substring(0, pos);
+        }
+
+        return this._handlers[name];
+    }
+
+    private handleRequest(req: any, res: any): void {
+        let url: string = req.url || '';
+        let path = url.split('?')[0];
+        let match = req.method == 'POST' ? LambdaEmulator._invokePath.exec(path) : null;
+        if (match == null) {
+            this.sendError(res, 404, "ResourceNotFoundException", "Unknown operation " + req.method + " " + path);
+            return;
+        }
+
+        let functionName: string;
+        try {
+            functionName = decodeURIComponent(match[1]);
+        } catch (err) {
+            this.sendError(res, 400, "InvalidParameterValueException", "Malformed function name: " + match[1]);
+            return;
+        }
+
+        let handler = this.getHandler(functionName);
+        if (handler == null) {
+            this.sendError(res, 404, "ResourceNotFoundException", "Function not found: " + functionName);
+            return;
+        }
+
+        let chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => {
+            let body = Buffer.concat(chunks).toString('utf8');
+            let invocationType = req.headers['x-amz-invocation-type'] || 'RequestResponse';
+            let context = { clientContext: this.decodeClientContext(req.headers['x-amz-client-context']) };
+            let tailLogs = req.headers['x-amz-log-type'] == 'Tail';
+            this.invoke(handler, invocationType, body, context, tailLogs, res).catch((err) => {
+                this._logger.error(null, err, "Failed to process invocation");
+                if (!res.headersSent) {
+                    this.sendError(res, 500, "ServiceException", err != null ? err.message : "Unknown error");
+                }
+            });
+        });
+    }
+
+    private decodeClientContext(value: string): any {
+        if (value == null || value == '') {
+            return undefined;
+        }
+
+        try {
+            return JSON.parse(Buffer.from(value, 'base64').toString('utf8'));
+        } catch (err) {
+            return undefined;
+        }
+    }
+
+    private async invoke(handler: (event: any, context?: any) => Promise<any>, invocationType: string,
+        body: string, context: any, tailLogs: boolean, res: any): Promise<void> {
+        let event: any;
+        try {
+            event = body != '' ? JSON.parse(body) : {};
+        } catch (err) {
+            this.sendError(res, 400, "InvalidRequestContentException", "Could not parse request body into json");
+            return;
+        }
+
+        if (invocationType == 'DryRun') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        let requestId = IdGenerator.nextLong();
+        context.awsRequestId = requestId;
+
+        if (invocationType == 'Event') {
+            res.writeHead(202, { 'X-Amzn-RequestId': requestId });
+            res.end();
+
+            try {
+                await handler(event, context);
+            } catch (err) {
+                let correlationId = event != null ? event.correlation_id : null;
+                this._logger.error(correlationId, err, "Failed to execute asynchronous invocation");
+            }
+            return;
+        }
+
+        let headers: any = {
+            'Content-Type': 'application/json',
+            'X-Amzn-RequestId': requestId,
+            'X-Amz-Executed-Version': '$LATEST'
+        };
+
+        let payload: string;
+        try {
+            let result = await handler(event, context);
+            payload = result !== undefined ? JSON.stringify(result) : '';
+        } catch (err) {
+            err = err != null ? err : new Error("Unknown error");
+            headers['X-Amz-Function-Error'] = 'Unhandled';
+            payload = JSON.stringify({
+                errorType: err.name || 'Error',
+                errorMessage: err.message != null ? err.message : String(err),
+                trace: err.stack != null ? err.stack.split('\n') : []
+            });
+
+            if (tailLogs) {
+                let log = "START RequestId: " + requestId + "\n"
+                    + (err.stack || err.message || String(err)) + "\n"
+                    + "END RequestId: " + requestId + "\n";
+                headers['X-Amz-Log-Result'] = Buffer.from(log, 'utf8').toString('base64');
+            }
+        }
+
+        res.writeHead(200, headers);
+        res.end(payload);
+    }
+
+    private sendError(res: any, status: number, type: string, message: string): void {
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'X-Amzn-ErrorType': type
+        });
+        res.end(JSON.stringify({ Type: 'User', message: message }));
+    }
+}
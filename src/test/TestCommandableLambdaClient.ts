@@ -14,9 +14,10 @@ export class TestCommandableLambdaClient extends CommandableLambdaClient {
      * @param cmd               an action name
      * @param correlationId     (optional) transaction id to trace execution through call chain.
      * @param params            command parameters.
+     * @param qualifier         (optional) a function version or alias that overrides the configured one.
      * @return {any}            action result.
      */
-    public async callCommand<T>(name: string, correlationId: string, params: any): Promise<T> {
-        return super.callCommand(name, correlationId, params);
+    public async callCommand<T>(name: string, correlationId: string, params: any, qualifier?: string): Promise<T> {
+        return super.callCommand(name, correlationId, params, qualifier);
     }
 }
\ No newline at end of file
@@ -15,10 +15,11 @@ export class TestLambdaClient extends LambdaClient {
      * @param cmd               an action name to be called.
      * @param correlationId     (optional) transaction id to trace execution through call chain.
      * @param params            (optional) action parameters.
+     * @param qualifier         (optional) a function version or alias that overrides the configured one.
      * @return {any}            action result.
      */
-     public async call(cmd: string, correlationId: string, params: any = {}): Promise<any> {
-        return super.call(cmd, correlationId, params);
+     public async call(cmd: string, correlationId: string, params: any = {}, qualifier?: string): Promise<any> {
+        return super.call(cmd, correlationId, params, qualifier);
     }
 
     /**
@@ -27,9 +28,12 @@ export class TestLambdaClient extends LambdaClient {
      * @param cmd               an action name to be called.
      * @param correlationId     (optional) transaction id to trace execution through call chain.
      * @param params            (optional) action parameters.
-     * @return {any}            action result.
+     * @param idempotencyKey    (optional) a key to identify the call, passed as "idempotency_key" parameter.
+     * @param qualifier         (optional) a function version or alias that overrides the configured one.
+     * @return {string}         the invocation request id.
      */
-    public callOneWay(cmd: string, correlationId: string, params: any = {}): Promise<any> {
-        return super.callOneWay(cmd, correlationId, params);
+    public callOneWay(cmd: string, correlationId: string, params: any = {}, idempotencyKey?: string,
+        qualifier?: string): Promise<string> {
+        return super.callOneWay(cmd, correlationId, params, idempotencyKey, qualifier);
     }
 }
\ No newline at end of file
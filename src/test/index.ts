@@ -1,3 +1,4 @@
 /** @module test */
 export { TestLambdaClient } from './TestLambdaClient';
-export { TestCommandableLambdaClient } from './TestCommandableLambdaClient';
\ No newline at end of file
+export { TestCommandableLambdaClient } from './TestCommandableLambdaClient';
+export { LambdaEmulator } from './LambdaEmulator';
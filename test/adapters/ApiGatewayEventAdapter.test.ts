@@ -0,0 +1,139 @@
+const assert = require('chai').assert;
+
+import { ConfigParams } from 'pip-services3-commons-nodex';
+
+import { Dummy } from '../Dummy';
+import { DummyLambdaFunction } from '../containers/DummyLambdaFunction';
+
+suite('ApiGatewayEventAdapter', () => {
+    let DUMMY1: Dummy = { id: null, key: "Key 1", content: "Content 1" };
+
+    let lambda: DummyLambdaFunction;
+
+    suiteSetup(async () => {
+        let config = ConfigParams.fromTuples(
+            'logger.descriptor', 'pip-services:logger:console:default:1.0',
+            'controller.descriptor', 'pip-services-dummies:controller:default:default:1.0',
+            'apigateway.descriptor', 'pip-services:event-adapter:apigateway:default:1.0',
+            'apigateway.routes.get_dummies', 'GET /dummies',
+            'apigateway.routes.get_dummy_by_id', 'GET /dummies/{dummy_id}',
+            'apigateway.routes.create_dummy', 'POST /dummies'
+        );
+
+        lambda = new DummyLambdaFunction();
+        lambda.configure(config);
+        await lambda.open(null);
+    });
+
+    suiteTeardown(async () => {
+        await lambda.close(null);
+    });
+
+    test('REST API Proxy Events', async () => {
+        // Create one dummy
+        let response = await lambda.act({
+            httpMethod: 'POST',
+            path: '/dummies',
+            resource: '/dummies',
+            headers: { 'Content-Type': 'application/json' },
+            requestContext: {},
+            body: JSON.stringify({ dummy: DUMMY1 })
+        });
+        assert.equal(response.statusCode, 200);
+
+        let dummy1 = JSON.parse(response.body);
+        assert.equal(dummy1.content, DUMMY1.content);
+        assert.equal(dummy1.key, DUMMY1.key);
+
+        // Get the dummy by path parameter
+        response = await lambda.act({
+            httpMethod: 'GET',
+            path: '/dummies/' + dummy1.id,
+            resource: '/dummies/{dummy_id}',
+            pathParameters: { dummy_id: dummy1.id },
+            requestContext: {}
+        });
+        assert.equal(response.statusCode, 200);
+
+        let dummy = JSON.parse(response.body);
+        assert.equal(dummy.id, dummy1.id);
+
+        // Query string cannot override the route
+        response = await lambda.act({
+            httpMethod: 'GET',
+            path: '/dummies/' + dummy1.id,
+            resource: '/dummies/{dummy_id}',
+            pathParameters: { dummy_id: dummy1.id },
+            queryStringParameters: { cmd: 'get_dummies', dummy_id: 'unknown' },
+            requestContext: {}
+        });
+        assert.equal(response.statusCode, 200);
+
+        dummy = JSON.parse(response.body);
+        assert.equal(dummy.id, dummy1.id);
+
+        // Get unknown dummy
+        response = await lambda.act({
+            httpMethod: 'GET',
+            path: '/dummies/unknown',
+            resource: '/dummies/{dummy_id}',
+            pathParameters: { dummy_id: 'unknown' },
+            requestContext: {}
+        });
+        assert.equal(response.statusCode, 204);
+    });
+
+    test('HTTP API Proxy Events', async () => {
+        // Get dummy by matching the path
+        let response = await lambda.act({
+            version: '2.0',
+            routeKey: '$default',
+            rawPath: '/dummies/unknown',
+            requestContext: { http: { method: 'GET', path: '/dummies/unknown' } }
+        });
+        assert.equal(response.statusCode, 204);
+
+        // Select action by cmd route parameter
+        response = await lambda.act({
+            version: '2.0',
+            routeKey: 'ANY /{cmd}',
+            rawPath: '/get_dummies',
+            pathParameters: { cmd: 'get_dummies' },
+            requestContext: { http: { method: 'GET', path: '/get_dummies' } }
+        });
+        assert.equal(response.statusCode, 200);
+
+        let page = JSON.parse(response.body);
+        assert.isArray(page.data);
+    });
+
+    test('Error Responses', async () => {
+        // Unknown route
+        let response = await lambda.act({
+            httpMethod: 'DELETE',
+            path: '/dummies',
+            requestContext: {}
+        });
+        assert.equal(response.statusCode, 404);
+        assert.equal(JSON.parse(response.body).code, 'NO_ROUTE');
+
+        // Malformed path
+        response = await lambda.act({
+            httpMethod: 'GET',
+            path: '/dummies/%E0%A4%A',
+            requestContext: {}
+        });
+        assert.equal(response.statusCode, 400);
+        assert.equal(JSON.parse(response.body).code, 'BAD_PATH');
+
+        // Failed validation
+        response = await lambda.act({
+            httpMethod: 'POST',
+            path: '/dummies',
+            requestContext: {},
+            body: JSON.stringify({})
+        });
+        assert.equal(response.statusCode, 400);
+        assert.equal(JSON.parse(response.body).code, 'INVALID_DATA');
+    });
+});
@@ -0,0 +1,106 @@
+const assert = require('chai').assert;
+
+import { ConfigParams } from 'pip-services3-commons-nodex';
+
+import { Dummy } from '../Dummy';
+import { DummyLambdaFunction } from '../containers/DummyLambdaFunction';
+
+suite('EventSourceRouter', () => {
+    let DUMMY1: Dummy = { id: null, key: "Key 1", content: "Content 1" };
+    let DUMMY2: Dummy = { id: null, key: "Key 2", content: "Content 2" };
+
+    let lambda: DummyLambdaFunction;
+
+    suiteSetup(async () => {
+        let config = ConfigParams.fromTuples(
+            'logger.descriptor', 'pip-services:logger:console:default:1.0',
+            'controller.descriptor', 'pip-services-dummies:controller:default:default:1.0',
+            'router.descriptor', 'pip-services:event-adapter:router:default:1.0',
+            'router.sns.create_dummy', 'dummies',
+            'router.eventbridge.update_dummy', 'dummies.source:Dummy Changed',
+            'router.eventbridge.get_dummies', 'dummies.source'
+        );
+
+        lambda = new DummyLambdaFunction();
+        lambda.configure(config);
+        await lambda.open(null);
+    });
+
+    suiteTeardown(async () => {
+        await lambda.close(null);
+    });
+
+    function createSnsEvent(message: any, attributes: any = {}): any {
+        return {
+            Records: [{
+                EventSource: 'aws:sns',
+                Sns: {
+                    MessageId: '1',
+                    TopicArn: 'arn:aws:sns:us-east-1:123456789012:dummies',
+                    Message: JSON.stringify(message),
+                    MessageAttributes: attributes
+                }
+            }]
+        };
+    }
+
+    test('SNS Notifications', async () => {
+        // Route by topic
+        let results = await lambda.act(createSnsEvent({ dummy: DUMMY1 }));
+        assert.lengthOf(results, 1);
+        assert.equal(results[0].key, DUMMY1.key);
+
+        // Route by message attribute
+        results = await lambda.act(createSnsEvent({ dummy_id: results[0].id }, {
+            cmd: { Type: 'String', Value: 'get_dummy_by_id' },
+            correlation_id: { Type: 'String', Value: '123' }
+        }));
+        assert.lengthOf(results, 1);
+        assert.equal(results[0].key, DUMMY1.key);
+
+        // Message fields cannot override the topic route
+        results = await lambda.act(createSnsEvent({ cmd: 'get_dummies', dummy: DUMMY2 }));
+        assert.lengthOf(results, 1);
+        assert.equal(results[0].key, DUMMY2.key);
+    });
+
+    test('EventBridge Events', async () => {
+        let dummy = await lambda.act({ cmd: 'create_dummy', dummy: DUMMY2 });
+        dummy.content = 'Updated Content 2';
+
+        // Route by source and detail type
+        let result = await lambda.act({
+            version: '0',
+            id: '1',
+            'detail-type': 'Dummy Changed',
+            source: 'dummies.source',
+            detail: { dummy: dummy }
+        });
+        assert.equal(result.content, 'Updated Content 2');
+
+        // Route by source
+        result = await lambda.act({
+            version: '0',
+            id: '2',
+            'detail-type': 'Dummies Requested',
+            source: 'dummies.source',
+            detail: {}
+        });
+        assert.isArray(result.data);
+
+        // Unknown source
+        let error = null;
+        try {
+            await lambda.act({
+                version: '0',
+                id: '3',
+                'detail-type': 'Dummy Changed',
+                source: 'unknown.source',
+                detail: {}
+            });
+        } catch (err) {
+            error = err;
+        }
+        assert.equal(error.code, 'NO_ROUTE');
+    });
+});
@@ -0,0 +1,76 @@
+const assert = require('chai').assert;
+
+import { ConfigParams } from 'pip-services3-commons-nodex';
+
+import { Dummy } from '../Dummy';
+import { DummyLambdaFunction } from '../containers/DummyLambdaFunction';
+
+suite('SqsEventAdapter', () => {
+    let DUMMY1: Dummy = { id: null, key: "Key 1", content: "Content 1" };
+    let DUMMY2: Dummy = { id: null, key: "Key 2", content: "Content 2" };
+
+    let lambda: DummyLambdaFunction;
+
+    suiteSetup(async () => {
+        let config = ConfigParams.fromTuples(
+            'logger.descriptor', 'pip-services:logger:console:default:1.0',
+            'logger.level', 'fatal',
+            'controller.descriptor', 'pip-services-dummies:controller:default:default:1.0',
+            'sqs.descriptor', 'pip-services:event-adapter:sqs:default:1.0',
+            'sqs.options.default_cmd', 'create_dummy',
+            'sqs.options.concurrency', 2
+        );
+
+        lambda = new DummyLambdaFunction();
+        lambda.configure(config);
+        await lambda.open(null);
+    });
+
+    suiteTeardown(async () => {
+        await lambda.close(null);
+    });
+
+    function createRecord(messageId: string, body: string, queue: string = 'dummies'): any {
+        return {
+            messageId: messageId,
+            body: body,
+            messageAttributes: {
+                correlation_id: { stringValue: '123', dataType: 'String' }
+            },
+            eventSource: 'aws:sqs',
+            eventSourceARN: 'arn:aws:sqs:us-east-1:123456789012:' + queue
+        };
+    }
+
+    test('Partial Batch Failures', async () => {
+        let response = await lambda.act({
+            Records: [
+                createRecord('1', JSON.stringify({ dummy: DUMMY1 })),
+                createRecord('2', JSON.stringify({ cmd: 'get_dummies' })),
+                createRecord('3', JSON.stringify({ cmd: 'unknown_action' })),
+                createRecord('4', 'Not a JSON'),
+                createRecord('5', JSON.stringify({ dummy: DUMMY2 }))
+            ]
+        });
+
+        let failures = response.batchItemFailures.map(f => f.itemIdentifier).sort();
+        assert.sameMembers(failures, ['3', '4']);
+
+        let page = await lambda.act({ cmd: 'get_dummies' });
+        let keys = page.data.map(d => d.key);
+        assert.includeMembers(keys, [DUMMY1.key, DUMMY2.key]);
+    });
+
+    test('FIFO Queue Failures', async () => {
+        let response = await lambda.act({
+            Records: [
+                createRecord('1', JSON.stringify({ cmd: 'get_dummies' }), 'dummies.fifo'),
+                createRecord('2', JSON.stringify({ cmd: 'unknown_action' }), 'dummies.fifo'),
+                createRecord('3', JSON.stringify({ cmd: 'get_dummies' }), 'dummies.fifo')
+            ]
+        });
+
+        let failures = response.batchItemFailures.map(f => f.itemIdentifier);
+        assert.sameOrderedMembers(failures, ['2', '3']);
+    });
+});
@@ -0,0 +1,56 @@
+const assert = require('chai').assert;
+
+import { ConfigParams } from 'pip-services3-commons-nodex';
+
+import { CircuitBreaker } from '../../src/clients/CircuitBreaker';
+
+suite('CircuitBreaker', ()=> {
+
+    test('Disabled Breaker', async () => {
+        let breaker = new CircuitBreaker();
+
+        for (let index = 0; index < 10; index++) {
+            assert.isTrue(breaker.tryAcquire());
+            breaker.recordFailure();
+        }
+        assert.equal(breaker.getState(), CircuitBreaker.Closed);
+    });
+
+    test('Open and Close Circuit', async () => {
+        let breaker = new CircuitBreaker();
+        breaker.configure(ConfigParams.fromTuples(
+            'options.circuit_breaker.enabled', true,
+            'options.circuit_breaker.failure_threshold', 2,
+            'options.circuit_breaker.open_timeout', 50,
+            'options.circuit_breaker.half_open_probes', 1
+        ));
+
+        // Successful calls reset failures
+        breaker.recordFailure();
+        breaker.recordSuccess();
+        breaker.recordFailure();
+        assert.equal(breaker.getState(), CircuitBreaker.Closed);
+
+        breaker.recordFailure();
+        assert.equal(breaker.getState(), CircuitBreaker.Open);
+        assert.isFalse(breaker.tryAcquire());
+        assert.isTrue(breaker.getRetryAfter() > 0);
+
+        await new Promise((resolve) => setTimeout(resolve, 60));
+        assert.equal(breaker.getState(), CircuitBreaker.HalfOpen);
+
+        // Only one probe is allowed
+        assert.isTrue(breaker.tryAcquire());
+        assert.isFalse(breaker.tryAcquire());
+
+        // Failed probe opens the circuit again
+        breaker.recordFailure();
+        assert.equal(breaker.getState(), CircuitBreaker.Open);
+
+        await new Promise((resolve) => setTimeout(resolve, 60));
+        assert.isTrue(breaker.tryAcquire());
+        breaker.recordSuccess();
+        assert.equal(breaker.getState(), CircuitBreaker.Closed);
+        assert.isTrue(breaker.tryAcquire());
+    });
+});
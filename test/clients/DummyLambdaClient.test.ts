@@ -1,8 +1,14 @@
+const assert = require('chai').assert;
 let process = require('process');
 
 import { ConfigParams } from 'pip-services3-commons-nodex';
+import { Descriptor } from 'pip-services3-commons-nodex';
+import { References } from 'pip-services3-commons-nodex';
 import { DummyClientFixture } from '../DummyClientFixture';
 import { DummyLambdaClient } from './DummyLambdaClient';
+import { DummyLambdaFunction } from '../containers/DummyLambdaFunction';
+import { TestLambdaClient } from '../../src/test/TestLambdaClient';
+import { MemoryPayloadStore } from '../../src/payloads/MemoryPayloadStore';
 
 suite('DummyLambdaClient', ()=> {
     let awsAccessId = process.env['AWS_ACCESS_ID'];
@@ -41,4 +47,108 @@ suite('DummyLambdaClient', ()=> {
         await fixture.testCrudOperations();
     });
 
-});
\ No newline at end of file
+});
+
+suite('DummyLambdaClient Local', ()=> {
+    let lambda: DummyLambdaFunction;
+    let client: DummyLambdaClient;
+    let fixture: DummyClientFixture;
+
+    setup(async () => {
+        lambda = new DummyLambdaFunction();
+        lambda.configure(ConfigParams.fromTuples(
+            'controller.descriptor', 'pip-services-dummies:controller:default:default:1.0'
+        ));
+        await lambda.open(null);
+
+        client = new DummyLambdaClient();
+        client.configure(ConfigParams.fromTuples(
+            'dependencies.function', 'pip-services-dummies:function:*:*:1.0'
+        ));
+        client.setReferences(References.fromTuples(
+            new Descriptor('pip-services-dummies', 'function', 'dummy', 'default', '1.0'), lambda
+        ));
+
+        fixture = new DummyClientFixture(client);
+
+        await client.open(null);
+    });
+
+    teardown(async () => {
+        await client.close(null);
+        await lambda.close(null);
+    });
+
+    test('Crud Operations', async () => {
+        await fixture.testCrudOperations();
+    });
+
+    test('Remote Errors', async () => {
+        let testClient = new TestLambdaClient();
+        testClient.configure(ConfigParams.fromTuples(
+            'dependencies.function', 'pip-services-dummies:function:*:*:1.0'
+        ));
+        testClient.setReferences(References.fromTuples(
+            new Descriptor('pip-services-dummies', 'function', 'dummy', 'default', '1.0'), lambda
+        ));
+        await testClient.open(null);
+
+        let error = null;
+        try {
+            await testClient.call('unknown_action', '123', {});
+        } catch (err) {
+            error = err;
+        }
+        await testClient.close(null);
+
+        assert.isNotNull(error);
+        assert.equal(error.category, 'BadRequest');
+        assert.equal(error.code, 'NO_ACTION');
+        assert.equal(error.status, 400);
+        assert.equal(error.correlation_id, '123');
+        assert.equal(error.details.command, 'unknown_action');
+    });
+
+    test('Large Payloads', async () => {
+        let payloadLambda = new DummyLambdaFunction();
+        payloadLambda.configure(ConfigParams.fromTuples(
+            'controller.descriptor', 'pip-services-dummies:controller:default:default:1.0',
+            'store.descriptor', 'pip-services:payload-store:memory:default:1.0',
+            'manager.descriptor', 'pip-services:invocation-manager:default:default:1.0',
+            'manager.options.payload.threshold', 100
+        ));
+        await payloadLambda.open(null);
+
+        let store = payloadLambda.getReferences().getOneRequired<MemoryPayloadStore>(
+            new Descriptor('pip-services', 'payload-store', 'memory', '*', '1.0'));
+
+        let testClient = new DummyLambdaClient();
+        testClient.configure(ConfigParams.fromTuples(
+            'dependencies.function', 'pip-services-dummies:function:*:*:1.0',
+            'options.payload.threshold', 100
+        ));
+        testClient.setReferences(References.fromTuples(
+            new Descriptor('pip-services-dummies', 'function', 'dummy', 'default', '1.0'), payloadLambda,
+            new Descriptor('pip-services', 'payload-store', 'memory', 'default', '1.0'), store
+        ));
+        await testClient.open(null);
+
+        let content = 'x'.repeat(1000);
+        let puts = 0;
+        let put = store.put.bind(store);
+        store.put = (correlationId, key, data) => { puts++; return put(correlationId, key, data); };
+
+        try {
+            let dummy = await testClient.createDummy('123', { id: null, key: 'Key 1', content: content });
+            assert.equal(dummy.content, content);
+        } finally {
+            await testClient.close(null);
+            await payloadLambda.close(null);
+        }
+
+        // Both the request and the response were offloaded and removed after reading
+        assert.equal(puts, 2);
+        assert.equal(store.getCount(), 0);
+    });
+
+});
@@ -0,0 +1,306 @@
+const assert = require('chai').assert;
+
+import { ConfigParams } from 'pip-services3-commons-nodex';
+
+import { TestLambdaClient } from '../../src/test/TestLambdaClient';
+import { AwsConnectionParams } from '../../src/connect/AwsConnectionParams';
+
+class RetryLambdaClient extends TestLambdaClient {
+    public attempts: number = 0;
+    public payloads: any[] = [];
+    public inputs: any[] = [];
+
+    public constructor(errors: any[]) {
+        super();
+        this._connection = new AwsConnectionParams();
+        this._connection.setArn('arn:aws:lambda:us-east-1:123456789012:function:dummy');
+        this._lambda = <any>{
+            send: async (command) => {
+                this.attempts++;
+                this.inputs.push(command.input);
+                if (errors.length > 0) {
+                    throw errors.shift();
+                }
+                if (command.input.InvocationType == 'Event') {
+                    this.payloads.push(JSON.parse(Buffer.from(command.input.Payload).toString('utf8')));
+                    return { StatusCode: 202, $metadata: { requestId: 'request-' + this.attempts } };
+                }
+                return { StatusCode: 200, Payload: Buffer.from(JSON.stringify({ ok: true })) };
+            },
+            destroy: () => {}
+        };
+        this._opened = true;
+    }
+}
+
+function createError(name: string, status: number): any {
+    let err: any = new Error(name);
+    err.name = name;
+    err.$metadata = { httpStatusCode: status };
+    return err;
+}
+
+suite('LambdaClient Retries', ()=> {
+
+    test('Retry Transient Errors', async () => {
+        let client = new RetryLambdaClient([
+            createError('TooManyRequestsException', 429),
+            createError('ServiceException', 500)
+        ]);
+        client.configure(ConfigParams.fromTuples(
+            'options.retries', 3,
+            'options.retry_delay', 10
+        ));
+
+        let result = await client.call('test', '123', {});
+        assert.isTrue(result.ok);
+        assert.equal(client.attempts, 3);
+    });
+
+    test('Fail Non-Retryable Errors', async () => {
+        let client = new RetryLambdaClient([
+            createError('ResourceNotFoundException', 404)
+        ]);
+        client.configure(ConfigParams.fromTuples(
+            'options.retry_delay', 10
+        ));
+
+        let error = null;
+        try {
+            await client.call('test', '123', {});
+        } catch (err) {
+            error = err;
+        }
+        assert.equal(error.code, 'CALL_FAILED');
+        assert.equal(client.attempts, 1);
+    });
+
+    test('Limit Retries', async () => {
+        let client = new RetryLambdaClient([
+            createError('TooManyRequestsException', 429),
+            createError('TooManyRequestsException', 429),
+            createError('TooManyRequestsException', 429)
+        ]);
+        client.configure(ConfigParams.fromTuples(
+            'options.retries', 1,
+            'options.retry_delay', 10
+        ));
+
+        let error = null;
+        try {
+            await client.call('test', '123', {});
+        } catch (err) {
+            error = err;
+        }
+        assert.equal(error.code, 'CALL_FAILED');
+        assert.equal(error.details.attempts, 2);
+        assert.equal(client.attempts, 2);
+    });
+
+    test('Respect Deadline', async () => {
+        let client = new RetryLambdaClient([]);
+        client.configure(ConfigParams.fromTuples(
+            'options.retries', 5,
+            'options.retry_delay', 10,
+            'options.deadline', 100
+        ));
+        // The attempt hangs until it is aborted
+        (<any>client)._lambda.send = (command, options) => {
+            client.attempts++;
+            return new Promise((resolve, reject) => {
+                options.abortSignal.addEventListener('abort', () => {
+                    let err: any = new Error('Request aborted');
+                    err.name = 'AbortError';
+                    reject(err);
+                });
+            });
+        };
+
+        let start = Date.now();
+        let error = null;
+        try {
+            await client.call('test', '123', {});
+        } catch (err) {
+            error = err;
+        }
+        assert.equal(error.code, 'CALL_FAILED');
+        assert.equal(client.attempts, 1);
+        assert.isTrue(Date.now() - start < 1000);
+    });
+
+    test('Stop Retries at Deadline', async () => {
+        let client = new RetryLambdaClient([
+            createError('TooManyRequestsException', 429),
+            createError('TooManyRequestsException', 429)
+        ]);
+        client.configure(ConfigParams.fromTuples(
+            'options.retries', 5,
+            'options.retry_delay', 1000,
+            'options.deadline', 1
+        ));
+
+        let error = null;
+        try {
+            await client.call('test', '123', {});
+        } catch (err) {
+            error = err;
+        }
+        assert.equal(error.code, 'CALL_FAILED');
+        assert.isTrue(client.attempts < 3);
+    });
+
+    test('Disable SDK Retries', async () => {
+        let client = new TestLambdaClient();
+        client.configure(ConfigParams.fromTuples(
+            'connection.arn', 'arn:aws:lambda:us-east-1:123456789012:function:dummy',
+            'credentials.access_id', 'test',
+            'credentials.access_key', 'test'
+        ));
+        await client.open(null);
+        assert.equal(await (<any>client)._lambda.config.maxAttempts(), 1);
+        await client.close(null);
+
+        // Explicit SDK retries are kept
+        client = new TestLambdaClient();
+        client.configure(ConfigParams.fromTuples(
+            'connection.arn', 'arn:aws:lambda:us-east-1:123456789012:function:dummy',
+            'credentials.access_id', 'test',
+            'credentials.access_key', 'test',
+            'options.max_retries', 2
+        ));
+        await client.open(null);
+        assert.equal(await (<any>client)._lambda.config.maxAttempts(), 3);
+        await client.close(null);
+    });
+});
+
+suite('LambdaClient Circuit Breaker', ()=> {
+
+    test('Fail Fast When Open', async () => {
+        let client = new RetryLambdaClient([
+            createError('ServiceException', 500),
+            createError('ServiceException', 500)
+        ]);
+        client.configure(ConfigParams.fromTuples(
+            'options.retries', 0,
+            'options.circuit_breaker.enabled', true,
+            'options.circuit_breaker.failure_threshold', 2,
+            'options.circuit_breaker.open_timeout', 50
+        ));
+
+        for (let index = 0; index < 2; index++) {
+            try {
+                await client.call('test', '123', {});
+            } catch (err) {
+                assert.equal(err.code, 'CALL_FAILED');
+            }
+        }
+
+        let error = null;
+        try {
+            await client.call('test', '123', {});
+        } catch (err) {
+            error = err;
+        }
+        assert.equal(error.code, 'CIRCUIT_OPEN');
+        assert.equal(error.details.target, 'dummy');
+        assert.equal(client.attempts, 2);
+
+        // Probe call closes the circuit
+        await new Promise((resolve) => setTimeout(resolve, 60));
+        let result = await client.call('test', '123', {});
+        assert.isTrue(result.ok);
+        assert.equal(client.attempts, 3);
+    });
+});
+
+suite('LambdaClient Async Calls', ()=> {
+
+    test('Return Request Id', async () => {
+        let client = new RetryLambdaClient([]);
+
+        let requestId = await client.callOneWay('test', '123', { value: 1 }, 'key-1');
+        assert.equal(requestId, 'request-1');
+        assert.equal(client.payloads[0].idempotency_key, 'key-1');
+        assert.equal(client.payloads[0].value, 1);
+    });
+});
+
+suite('LambdaClient Qualifiers', ()=> {
+
+    test('Invoke Versions and Aliases', async () => {
+        let client = new RetryLambdaClient([]);
+        client.configure(ConfigParams.fromTuples(
+            'options.qualifier', 'prod'
+        ));
+
+        await client.call('test', '123', {});
+        assert.equal(client.inputs[0].FunctionName, 'arn:aws:lambda:us-east-1:123456789012:function:dummy');
+        assert.equal(client.inputs[0].Qualifier, 'prod');
+
+        // Per-call override
+        await client.call('test', '123', {}, '12');
+        assert.equal(client.inputs[1].Qualifier, '12');
+    });
+
+    test('Qualifier in ARN', async () => {
+        let client = new RetryLambdaClient([]);
+        (<any>client)._connection.setArn('arn:aws:lambda:us-east-1:123456789012:function:dummy:canary');
+
+        await client.call('test', '123', {});
+        assert.equal(client.inputs[0].FunctionName, 'arn:aws:lambda:us-east-1:123456789012:function:dummy');
+        assert.equal(client.inputs[0].Qualifier, 'canary');
+    });
+});
+
+suite('LambdaClient Context', ()=> {
+
+    test('Pass Client Context', async () => {
+        let client = new RetryLambdaClient([]);
+        client.configure(ConfigParams.fromTuples(
+            'options.client_context', true,
+            'options.tail_logs', true,
+            'options.caller', 'test-caller'
+        ));
+
+        await client.call('test', '123', {});
+        assert.equal(client.inputs[0].LogType, 'Tail');
+
+        let context = JSON.parse(Buffer.from(client.inputs[0].ClientContext, 'base64').toString('utf8'));
+        assert.equal(context.custom.correlation_id, '123');
+        assert.equal(context.custom.caller, 'test-caller');
+
+        // Logs are not returned for asynchronous calls
+        await client.callOneWay('test', '123', {});
+        assert.equal(client.inputs[1].LogType, 'None');
+    });
+
+    test('Log Tail on Failures', async () => {
+        let client = new RetryLambdaClient([]);
+        client.configure(ConfigParams.fromTuples(
+            'options.tail_logs', true
+        ));
+        let messages: string[] = [];
+        (<any>client)._logger = {
+            debug: (correlationId, message, ...args) => messages.push(args.join(' ')),
+            warn: () => {}, error: () => {}, trace: () => {}
+        };
+        (<any>client)._lambda.send = async (command) => {
+            return {
+                StatusCode: 200,
+                FunctionError: 'Unhandled',
+                LogResult: Buffer.from('Function crashed').toString('base64'),
+                Payload: Buffer.from(JSON.stringify({ errorType: 'Error', errorMessage: 'Crashed' }))
+            };
+        };
+
+        let error = null;
+        try {
+            await client.call('test', '123', {});
+        } catch (err) {
+            error = err;
+        }
+        assert.equal(error.code, 'FUNCTION_ERROR');
+        assert.isTrue(messages.some(m => m.indexOf('Function crashed') >= 0));
+    });
+});
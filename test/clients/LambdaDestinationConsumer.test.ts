@@ -0,0 +1,92 @@
+const assert = require('chai').assert;
+
+import { ConfigParams } from 'pip-services3-commons-nodex';
+import { NotFoundException } from 'pip-services3-commons-nodex';
+
+import { LambdaDestinationConsumer } from '../../src/clients/LambdaDestinationConsumer';
+import { LambdaErrorConverter } from '../../src/clients/LambdaErrorConverter';
+
+suite('LambdaDestinationConsumer', ()=> {
+    let consumer: LambdaDestinationConsumer;
+
+    function createRecord(requestId: string, condition: string, payload: any, response: any, functionError?: string): any {
+        return {
+            version: '1.0',
+            timestamp: new Date().toISOString(),
+            requestContext: {
+                requestId: requestId,
+                functionArn: 'arn:aws:lambda:us-east-1:123456789012:function:dummy:$LATEST',
+                condition: condition,
+                approximateInvokeCount: 1
+            },
+            requestPayload: payload,
+            responseContext: {
+                statusCode: 200,
+                executedVersion: '$LATEST',
+                functionError: functionError
+            },
+            responsePayload: response
+        };
+    }
+
+    setup(() => {
+        consumer = new LambdaDestinationConsumer();
+        consumer.configure(ConfigParams.fromTuples(
+            'options.timeout', 1000,
+            'options.failure_cmd', 'handle_failure'
+        ));
+    });
+
+    test('Resolve Successful Results', async () => {
+        let waiting = consumer.waitForResult('request-1');
+
+        await consumer.process(createRecord('request-1', 'Success', { cmd: 'test' }, { value: 123 }));
+        let result = await waiting;
+        assert.equal(result.value, 123);
+
+        // Result received before it was requested
+        await consumer.process(createRecord('request-2', 'Success', { cmd: 'test', idempotency_key: 'key-2' }, { value: 456 }));
+        result = await consumer.waitForResult('key-2');
+        assert.equal(result.value, 456);
+    });
+
+    test('Route Failures', async () => {
+        let failures = [];
+        consumer.setFailureHandler(async (error, record) => {
+            failures.push(error);
+        });
+
+        let waiting = consumer.waitForResult('key-3');
+
+        let error = LambdaErrorConverter.toPayload(new NotFoundException('123', 'NOT_FOUND', 'Dummy was not found'));
+        let record = createRecord('request-3', 'RetriesExhausted',
+            { cmd: 'test', correlation_id: '123', idempotency_key: 'key-3' }, error, 'Unhandled');
+
+        assert.isTrue(consumer.canHandle(record));
+        let params = await consumer.handle(record, async (params) => params);
+        assert.equal(params.cmd, 'handle_failure');
+        assert.equal(params.correlation_id, '123');
+
+        let result = null;
+        try {
+            await waiting;
+        } catch (err) {
+            result = err;
+        }
+        assert.equal(result.code, 'NOT_FOUND');
+        assert.equal(result.status, 404);
+        assert.equal(result.details.condition, 'RetriesExhausted');
+        assert.lengthOf(failures, 1);
+    });
+
+    test('Result Timeout', async () => {
+        let error = null;
+        try {
+            await consumer.waitForResult('unknown', 10);
+        } catch (err) {
+            error = err;
+        }
+        assert.equal(error.code, 'RESULT_TIMEOUT');
+        assert.isFalse(consumer.canHandle({ cmd: 'test' }));
+    });
+});
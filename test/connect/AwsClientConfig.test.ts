@@ -0,0 +1,68 @@
+const assert = require('chai').assert;
+
+import { ConfigParams } from 'pip-services3-commons-nodex';
+import { NodeHttpHandler } from '@smithy/node-http-handler';
+import { AwsClientConfig } from '../../src/connect/AwsClientConfig';
+import { AwsConnectionParams } from '../../src/connect/AwsConnectionParams';
+
+suite('AwsClientConfig', ()=> {
+
+    test('Compose Client Config', async () => {
+        let connection = new AwsConnectionParams(ConfigParams.fromTuples(
+            'region', 'us-east-1',
+            'access_id', '1234',
+            'access_key', 'ABCDEF',
+            'endpoint', 'http://localhost:4566'
+        ));
+
+        let clientConfig = new AwsClientConfig(10000);
+        clientConfig.configure(ConfigParams.fromTuples(
+            'options.timeout', 30000,
+            'options.max_retries', 2
+        ));
+
+        let config = clientConfig.compose(connection);
+        assert.equal(config.region, 'us-east-1');
+        assert.equal(config.credentials.accessKeyId, '1234');
+        assert.equal(config.credentials.secretAccessKey, 'ABCDEF');
+        assert.equal(config.endpoint, 'http://localhost:4566');
+        assert.equal(config.maxAttempts, 3);
+        assert.instanceOf(config.requestHandler, NodeHttpHandler);
+    });
+
+    test('Isolated Client Configs', async () => {
+        let clientConfig = new AwsClientConfig();
+
+        let config1 = clientConfig.compose(new AwsConnectionParams({ region: 'us-east-1' }));
+        let config2 = clientConfig.compose(new AwsConnectionParams({ region: 'eu-west-1' }));
+
+        assert.equal(config1.region, 'us-east-1');
+        assert.equal(config2.region, 'eu-west-1');
+        assert.isUndefined(config1.endpoint);
+        assert.isUndefined(config1.maxAttempts);
+        assert.notStrictEqual(config1.requestHandler, config2.requestHandler);
+    });
+
+    test('Service Endpoints', async () => {
+        let connection = AwsConnectionParams.fromConfig(ConfigParams.fromTuples(
+            'connection.region', 'us-east-1',
+            'connection.uri', 'http://localhost:4566',
+            'connection.endpoints.logs', 'http://localhost:4586'
+        ));
+
+        let clientConfig = new AwsClientConfig();
+        clientConfig.configure(ConfigParams.fromTuples(
+            'options.tls', false,
+            'options.force_path_style', true,
+            'options.reject_unauthorized', false
+        ));
+
+        let config = clientConfig.compose(connection, null, 'lambda');
+        assert.equal(config.endpoint, 'http://localhost:4566');
+        assert.isFalse(config.tls);
+        assert.isTrue(config.forcePathStyle);
+
+        config = clientConfig.compose(connection, null, 'logs');
+        assert.equal(config.endpoint, 'http://localhost:4586');
+    });
+});
@@ -34,6 +34,12 @@ suite('AwsConnectionParams', ()=> {
         assert.equal("function", connection.getResourceType());
         assert.equal("pip-services-dummies", connection.getResource());
 
+        connection.setArn("arn:aws:lambda:us-east-1:12342342332:function:pip-services-dummies:prod")
+        assert.equal("function", connection.getResourceType());
+        assert.equal("pip-services-dummies", connection.getResource());
+        assert.equal("prod", connection.getQualifier());
+        assert.equal("arn:aws:lambda:us-east-1:12342342332:function:pip-services-dummies", connection.getUnqualifiedArn());
+
     });
 
     test('Compose AR', async () => {
@@ -53,4 +59,35 @@ suite('AwsConnectionParams', ()=> {
         assert.equal("1234", connection.getAccessId());
         assert.equal("ABCDEF", connection.getAccessKey());
     });
-});
\ No newline at end of file
+
+    test('Session Credentials', async () => {
+        let connection = AwsConnectionParams.fromConfig(
+            ConfigParams.fromTuples(
+                'connection.region', 'us-east-1',
+                'credential.access_id', '1234',
+                'credential.access_key', 'ABCDEF',
+                'credential.session_token', 'TOKEN'
+            )
+        );
+
+        assert.equal("TOKEN", connection.getSessionToken());
+        connection.validate(null);
+    });
+
+    test('Default Credentials', async () => {
+        let connection = AwsConnectionParams.fromConfig(
+            ConfigParams.fromTuples(
+                'connection.region', 'us-east-1',
+                'credential.profile', 'dev'
+            )
+        );
+
+        assert.isFalse(connection.hasAccessKeys());
+        assert.equal("dev", connection.getProfile());
+        // Credentials are taken from the default provider chain
+        connection.validate(null);
+
+        connection.setAccessId("1234");
+        assert.throws(() => connection.validate(null));
+    });
+});
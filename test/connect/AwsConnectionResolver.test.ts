@@ -0,0 +1,124 @@
+const assert = require('chai').assert;
+
+import { ConfigParams } from 'pip-services3-commons-nodex';
+import { AwsConnectionResolver } from '../../src/connect/AwsConnectionResolver';
+import { AwsConnectionParams } from '../../src/connect/AwsConnectionParams';
+
+class TestAwsConnectionResolver extends AwsConnectionResolver {
+    public requests: any[] = [];
+    public expiration: number = 3600000;
+
+    protected createStsClient(connection: AwsConnectionParams, sourceCredentials: any): any {
+        return {
+            send: async (command) => {
+                this.requests.push({ input: command.input, source: sourceCredentials });
+                return {
+                    Credentials: {
+                        AccessKeyId: 'ROLE' + this.requests.length,
+                        SecretAccessKey: 'SECRET',
+                        SessionToken: 'TOKEN',
+                        Expiration: new Date(Date.now() + this.expiration)
+                    }
+                };
+            },
+            destroy: () => {}
+        };
+    }
+}
+
+suite('AwsConnectionResolver', ()=> {
+
+    test('Static Credentials', async () => {
+        let resolver = new AwsConnectionResolver();
+        resolver.configure(ConfigParams.fromTuples(
+            'connection.region', 'us-east-1',
+            'credential.access_id', '1234',
+            'credential.access_key', 'ABCDEF',
+            'credential.session_token', 'TOKEN'
+        ));
+
+        let connection = await resolver.resolve(null);
+        let credentials = resolver.getCredentials(connection);
+        assert.equal(credentials.accessKeyId, '1234');
+        assert.equal(credentials.secretAccessKey, 'ABCDEF');
+        assert.equal(credentials.sessionToken, 'TOKEN');
+    });
+
+    test('STS Client Configuration', async () => {
+        let resolver = new AwsConnectionResolver();
+        resolver.configure(ConfigParams.fromTuples(
+            'connection.region', 'us-east-1',
+            'connection.endpoint', 'http://localhost:4566',
+            'connection.endpoints.sts', 'http://localhost:4599',
+            'credential.access_id', '1234',
+            'credential.access_key', 'ABCDEF',
+            'credential.role_arn', 'arn:aws:iam::123456789012:role/test'
+        ));
+
+        let connection = await resolver.resolve(null);
+        let client = (<any>resolver).createStsClient(connection, { accessKeyId: '1234', secretAccessKey: 'ABCDEF' });
+        try {
+            let endpoint = await client.config.endpoint();
+            assert.equal(endpoint.hostname, 'localhost');
+            assert.equal(endpoint.port, 4599);
+        } finally {
+            client.destroy();
+        }
+    });
+
+    test('Assume Role', async () => {
+        let resolver = new TestAwsConnectionResolver();
+        resolver.configure(ConfigParams.fromTuples(
+            'connection.region', 'us-east-1',
+            'credential.access_id', '1234',
+            'credential.access_key', 'ABCDEF',
+            'credential.role_arn', 'arn:aws:iam::123456789012:role/test',
+            'credential.external_id', 'EXT',
+            'credential.session_name', 'test-session',
+            'credential.duration', 900
+        ));
+
+        let connection = await resolver.resolve(null);
+        let provider = resolver.getCredentials(connection);
+        assert.isFunction(provider);
+
+        let results = await Promise.all([provider(), provider()]);
+        assert.equal(results[0].accessKeyId, 'ROLE1');
+        assert.equal(results[1].accessKeyId, 'ROLE1');
+        assert.lengthOf(resolver.requests, 1);
+
+        let request = resolver.requests[0];
+        assert.equal(request.input.RoleArn, 'arn:aws:iam::123456789012:role/test');
+        assert.equal(request.input.ExternalId, 'EXT');
+        assert.equal(request.input.RoleSessionName, 'test-session');
+        assert.equal(request.input.DurationSeconds, 900);
+        assert.equal(request.source.accessKeyId, '1234');
+
+        // Cached credentials are reused
+        let credentials = await provider();
+        assert.equal(credentials.accessKeyId, 'ROLE1');
+        assert.lengthOf(resolver.requests, 1);
+    });
+
+    test('Refresh Before Expiration', async () => {
+        let resolver = new TestAwsConnectionResolver();
+        resolver.expiration = 60000;
+        resolver.configure(ConfigParams.fromTuples(
+            'connection.region', 'us-east-1',
+            'credential.access_id', '1234',
+            'credential.access_key', 'ABCDEF',
+            'credential.role_arn', 'arn:aws:iam::123456789012:role/test'
+        ));
+
+        let connection = await resolver.resolve(null);
+        let provider = resolver.getCredentials(connection);
+
+        let credentials = await provider();
+        assert.equal(credentials.accessKeyId, 'ROLE1');
+
+        // Credentials expiring within the refresh margin are renewed
+        credentials = await provider();
+        assert.equal(credentials.accessKeyId, 'ROLE2');
+        assert.lengthOf(resolver.requests, 2);
+    });
+});
@@ -1,6 +1,7 @@
 const assert = require('chai').assert;
 
 import { ConfigParams } from 'pip-services3-commons-nodex';
+import { Descriptor } from 'pip-services3-commons-nodex';
 
 import { Dummy } from '../Dummy';
 import { DummyLambdaFunction } from './DummyLambdaFunction';
@@ -72,3 +73,166 @@ suite('DummyLambdaFunction', () => {
     });
 
 });
+
+suite('DummyLambdaFunction Lifecycle', () => {
+    let configPath: string;
+
+    suiteSetup(() => {
+        configPath = process.env.CONFIG_PATH;
+        process.env.CONFIG_PATH = './test/config/config.yml';
+    });
+
+    suiteTeardown(() => {
+        if (configPath != null) {
+            process.env.CONFIG_PATH = configPath;
+        } else {
+            delete process.env.CONFIG_PATH;
+        }
+    });
+
+    test('Startup Times', async () => {
+        let lambda = new DummyLambdaFunction();
+        try {
+            await lambda.init();
+        } finally {
+            await lambda.close(null);
+        }
+
+        let times = lambda.getStartupTimes();
+        assert.sameMembers(Object.keys(times), ['read_config', 'set_references', 'open', 'register_services']);
+    });
+
+    test('Initialize Once', async () => {
+        let lambda = new DummyLambdaFunction();
+
+        try {
+            let init1 = lambda.init();
+            let init2 = lambda.init();
+            assert.strictEqual(init1, init2);
+            await Promise.all([init1, init2]);
+            assert.isTrue(lambda.isOpen());
+
+            // Pre-initialized function does not have cold starts
+            let received: any = {};
+            (<any>lambda).registerAction('get_context', null, async (params, context) => {
+                received.context = context;
+                return null;
+            });
+            await lambda.act({ cmd: 'get_context' });
+            assert.isFalse(received.context.coldStart);
+
+            // Closed function is initialized again by the next invocation
+            await lambda.close(null);
+            assert.isFalse(lambda.isOpen());
+
+            let page = await lambda.act({ cmd: 'get_dummies' });
+            assert.isArray(page.data);
+            assert.isTrue(lambda.isOpen());
+        } finally {
+            await lambda.close(null);
+        }
+    });
+
+    test('Cold Start After Failed Initialization', async () => {
+        let lambda = new DummyLambdaFunction();
+
+        try {
+            process.env.CONFIG_PATH = './test/config/missing.yml';
+            let error = null;
+            try {
+                await lambda.getHandler()({ warmup: true }, {});
+            } catch (err) {
+                error = err;
+            }
+            assert.isNotNull(error);
+
+            process.env.CONFIG_PATH = './test/config/config.yml';
+            let result = await lambda.getHandler()({ warmup: true }, {});
+            assert.isTrue(result.cold_start);
+        } finally {
+            process.env.CONFIG_PATH = './test/config/config.yml';
+            await lambda.close(null);
+        }
+    });
+
+    test('Warm-up Pings', async () => {
+        let lambda = new DummyLambdaFunction();
+
+        try {
+            let result = await lambda.getHandler()({ source: 'serverless-plugin-warmup' }, {});
+            assert.isTrue(result.warmup);
+            assert.isTrue(result.cold_start);
+
+            result = await lambda.getHandler()({ warmup: true }, {});
+            assert.isTrue(result.warmup);
+            assert.isFalse(result.cold_start);
+        } finally {
+            await lambda.close(null);
+        }
+    });
+
+    test('Cancel Before Timeout', async () => {
+        let lambda = new DummyLambdaFunction();
+        lambda.configure(ConfigParams.fromTuples(
+            'controller.descriptor', 'pip-services-dummies:controller:default:default:1.0',
+            'manager.descriptor', 'pip-services:invocation-manager:default:default:1.0',
+            'manager.options.timeout_margin', 50
+        ));
+        await lambda.open(null);
+
+        let signal: AbortSignal = null;
+        (<any>lambda).registerAction('wait', null, async (params, context) => {
+            signal = context.signal;
+            return new Promise((resolve) => {
+                let timer = setTimeout(resolve, 1000);
+                signal.addEventListener('abort', () => clearTimeout(timer));
+            });
+        });
+
+        let error = null;
+        try {
+            await lambda.act({ cmd: 'wait' }, {
+                awsRequestId: 'request-1',
+                getRemainingTimeInMillis: () => 100
+            });
+        } catch (err) {
+            error = err;
+        } finally {
+            await lambda.close(null);
+        }
+
+        assert.equal(error.code, 'INVOCATION_TIMEOUT');
+        assert.isTrue(signal.aborted);
+    });
+
+    test('Flush After Invocations', async () => {
+        let lambda = new DummyLambdaFunction();
+        lambda.configure(ConfigParams.fromTuples(
+            'controller.descriptor', 'pip-services-dummies:controller:default:default:1.0'
+        ));
+        await lambda.open(null);
+
+        let flushes = 0;
+        let logger = {
+            log: () => {}, fatal: () => {}, error: () => {}, warn: () => {},
+            info: () => {}, debug: () => {}, trace: () => {},
+            getLevel: () => 0, setLevel: () => {},
+            flush: async () => { flushes++; }
+        };
+        lambda.getReferences().put(new Descriptor('pip-services', 'logger', 'fake', 'default', '1.0'), logger);
+
+        try {
+            await lambda.act({ cmd: 'get_dummies' });
+            assert.equal(flushes, 1);
+
+            await lambda.act({ cmd: 'get_dummies' });
+            assert.equal(flushes, 2);
+
+            // Warm-up pings do not run actions and do not flush
+            await lambda.act({ warmup: true });
+            assert.equal(flushes, 2);
+        } finally {
+            await lambda.close(null);
+        }
+    });
+});
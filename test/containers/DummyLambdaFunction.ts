@@ -28,6 +28,13 @@ export class DummyLambdaFunction extends LambdaFunction {
         this._controller = this._dependencyResolver.getOneRequired<IDummyController>('controller');
     }
 
+    /**
+     * Gets references of the container components for tests.
+     */
+    public getReferences(): IReferences {
+        return this._references;
+    }
+
     private async getPageByFilter(params: any): Promise<DataPage<Dummy>> {
         return this._controller.getPageByFilter(
             params.correlation_id,
@@ -0,0 +1,95 @@
+const assert = require('chai').assert;
+
+import { ConfigParams } from 'pip-services3-commons-nodex';
+import { Descriptor } from 'pip-services3-commons-nodex';
+import { References } from 'pip-services3-commons-nodex';
+
+import { LambdaInvocationContext } from '../../src/containers/LambdaInvocationContext';
+import { DummyLambdaFunction } from './DummyLambdaFunction';
+import { DummyLambdaService } from '../services/DummyLambdaService';
+import { DummyController } from '../DummyController';
+import { TestLambdaClient } from '../../src/test/TestLambdaClient';
+
+suite('LambdaInvocationContext', () => {
+
+    test('Parse Context', () => {
+        let context = new LambdaInvocationContext({
+            awsRequestId: 'request-1',
+            functionName: 'dummy',
+            functionVersion: '3',
+            invokedFunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:dummy:prod',
+            memoryLimitInMB: '512',
+            getRemainingTimeInMillis: () => 1000
+        });
+
+        assert.equal(context.requestId, 'request-1');
+        assert.equal(context.functionName, 'dummy');
+        assert.equal(context.alias, 'prod');
+        assert.equal(context.memoryLimit, 512);
+        assert.equal(context.getRemainingTime(), 1000);
+
+        context = new LambdaInvocationContext({
+            invokedFunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:dummy:3'
+        });
+        assert.isNull(context.alias);
+        assert.isNull(context.getRemainingTime());
+    });
+
+    test('Pass Context to Actions', async () => {
+        let lambda = new DummyLambdaFunction();
+        lambda.configure(ConfigParams.fromTuples(
+            'controller.descriptor', 'pip-services-dummies:controller:default:default:1.0'
+        ));
+        await lambda.open(null);
+
+        let received: any = {};
+        (<any>lambda).registerAction('get_context', null, async (params, context) => {
+            received.correlationId = params.correlation_id;
+            received.context = context;
+            return null;
+        });
+
+        try {
+            await lambda.getHandler()({ cmd: 'get_context' }, { awsRequestId: 'request-1' });
+        } finally {
+            await lambda.close(null);
+        }
+
+        assert.equal(received.correlationId, 'request-1');
+        assert.instanceOf(received.context, LambdaInvocationContext);
+        assert.equal(received.context.requestId, 'request-1');
+    });
+
+    test('Pass Context to Local Services', async () => {
+        let service = new DummyLambdaService();
+        service.setReferences(References.fromTuples(
+            new Descriptor('pip-services-dummies', 'controller', 'default', 'default', '1.0'), new DummyController()
+        ));
+        await service.open(null);
+
+        let received: any = {};
+        (<any>service).registerAction('get_context', null, async (params, context) => {
+            received.context = context;
+            return null;
+        });
+
+        let client = new TestLambdaClient();
+        client.configure(ConfigParams.fromTuples(
+            'dependencies.function', 'pip-services-dummies:service:*:*:1.0'
+        ));
+        client.setReferences(References.fromTuples(
+            new Descriptor('pip-services-dummies', 'service', 'awslambda', 'default', '1.0'), service
+        ));
+        await client.open(null);
+
+        try {
+            await client.call('dummies.get_context', '123', {});
+        } finally {
+            await client.close(null);
+            await service.close(null);
+        }
+
+        assert.instanceOf(received.context, LambdaInvocationContext);
+        assert.isNotNull(received.context.requestId);
+    });
+});
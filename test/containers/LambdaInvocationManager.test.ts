@@ -0,0 +1,51 @@
+const assert = require('chai').assert;
+
+import { ConfigParams } from 'pip-services3-commons-nodex';
+import { Descriptor } from 'pip-services3-commons-nodex';
+import { References } from 'pip-services3-commons-nodex';
+
+import { LambdaInvocationManager } from '../../src/containers/LambdaInvocationManager';
+
+suite('LambdaInvocationManager', () => {
+
+    test('Flush Loggers and Counters', async () => {
+        let flushed = [];
+        let logger = { flush: async () => { flushed.push('logger'); } };
+        let counters = { dump: () => { flushed.push('counters'); } };
+        let failing = { flush: async () => { throw new Error('Failed'); } };
+        let failingDump = { dump: async () => { throw new Error('Failed'); } };
+
+        let manager = new LambdaInvocationManager();
+        manager.setReferences(References.fromTuples(
+            new Descriptor('pip-services', 'logger', 'cloudwatch', 'default', '1.0'), logger,
+            new Descriptor('pip-services', 'counters', 'cloudwatch', 'default', '1.0'), counters,
+            new Descriptor('pip-services', 'counters', 'failing', 'default', '1.0'), failing,
+            new Descriptor('pip-services', 'counters', 'failing-dump', 'default', '1.0'), failingDump
+        ));
+
+        await manager.flush('123');
+        assert.sameMembers(flushed, ['logger', 'counters']);
+    });
+
+    test('Flush Every N Invocations', async () => {
+        let flushes = 0;
+        let logger = { flush: async () => { flushes++; } };
+
+        let manager = new LambdaInvocationManager();
+        manager.configure(ConfigParams.fromTuples(
+            'options.flush_interval', 2
+        ));
+        manager.setReferences(References.fromTuples(
+            new Descriptor('pip-services', 'logger', 'cloudwatch', 'default', '1.0'), logger
+        ));
+
+        await manager.endInvocation('123');
+        assert.equal(flushes, 0);
+
+        await manager.endInvocation('123');
+        assert.equal(flushes, 1);
+
+        await manager.endInvocation('123');
+        assert.equal(flushes, 1);
+    });
+});
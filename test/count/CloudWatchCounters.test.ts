@@ -1,3 +1,5 @@
+const assert = require('chai').assert;
+
 import { ConfigParams } from 'pip-services3-commons-nodex';
 import { References } from 'pip-services3-commons-nodex';
 import { ContextInfo } from 'pip-services3-components-nodex';
@@ -6,6 +8,86 @@ import { Descriptor } from 'pip-services3-commons-nodex';
 import { CloudWatchCounters } from '../../src/count/CloudWatchCounters';
 import { CountersFixture } from './CountersFixture';
 
+class TestCloudWatchCounters extends CloudWatchCounters {
+    public async save(counters: any[]): Promise<void> {
+        return super.save(counters);
+    }
+}
+
+suite('CloudWatchCounters Dimensions', ()=> {
+    let _counters: TestCloudWatchCounters;
+    let _metrics: any[];
+
+    setup(() => {
+        _metrics = [];
+        _counters = new TestCloudWatchCounters();
+
+        // Replace AWS client to capture published metrics
+        (_counters as any)._client = {
+            send: async (command) => {
+                _metrics.push(...command.input.MetricData);
+                return {};
+            }
+        };
+
+        const contextInfo = new ContextInfo();
+        contextInfo.name = "Test";
+        contextInfo.contextId = "test-instance";
+        contextInfo.properties = { version: "1.0.0" };
+
+        _counters.setReferences(References.fromTuples(
+            new Descriptor("pip-services", "context-info", "default", "default", "1.0"), contextInfo
+        ));
+    });
+
+    function getDimensions(metric: any): any {
+        let result = {};
+        for (let dimension of metric.Dimensions) {
+            result[dimension.Name] = dimension.Value;
+        }
+        return result;
+    }
+
+    test('Static Dimensions', async () => {
+        _counters.configure(ConfigParams.fromTuples(
+            "dimensions.Stage", "test",
+            "options.context_properties", "version"
+        ));
+
+        _counters.incrementOne("Test.Calls");
+        await _counters.save(_counters.getAll());
+
+        assert.lengthOf(_metrics, 1);
+        assert.equal(_metrics[0].MetricName, "Test.Calls");
+        assert.deepEqual(getDimensions(_metrics[0]), {
+            InstanceID: "test-instance",
+            version: "1.0.0",
+            Stage: "test"
+        });
+    });
+
+    test('Counter Dimensions and Rollups', async () => {
+        _counters.configure(ConfigParams.fromTuples(
+            "dimensions.Stage", "test",
+            "rollups.by_instance", "InstanceID",
+            "rollups.by_tenant", "Stage,Tenant",
+            "rollups.total", "",
+            "options.parse_dimensions", true
+        ));
+
+        _counters.incrementOne("Test.Calls[Tenant=tenant1]");
+        await _counters.save(_counters.getAll());
+
+        assert.lengthOf(_metrics, 3);
+        for (let metric of _metrics) {
+            assert.equal(metric.MetricName, "Test.Calls");
+        }
+        assert.deepEqual(getDimensions(_metrics[0]), { InstanceID: "test-instance" });
+        assert.deepEqual(getDimensions(_metrics[1]), { Stage: "test", Tenant: "tenant1" });
+        assert.deepEqual(getDimensions(_metrics[2]), {});
+    });
+});
+
 suite('CloudWatchCounters', ()=> {
     let _counters: CloudWatchCounters;
     let _fixture: CountersFixture;
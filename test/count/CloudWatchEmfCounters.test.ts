@@ -0,0 +1,96 @@
+const assert = require('chai').assert;
+
+import { ConfigParams } from 'pip-services3-commons-nodex';
+import { References } from 'pip-services3-commons-nodex';
+import { ContextInfo } from 'pip-services3-components-nodex';
+import { Descriptor } from 'pip-services3-commons-nodex';
+
+import { CloudWatchEmfCounters } from '../../src/count/CloudWatchEmfCounters';
+
+suite('CloudWatchEmfCounters', ()=> {
+    let _counters: CloudWatchEmfCounters;
+    let _lines: string[];
+
+    setup(() => {
+        _lines = [];
+        _counters = new CloudWatchEmfCounters((line) => _lines.push(line));
+
+        _counters.configure(ConfigParams.fromTuples(
+            "interval", "5000"
+        ));
+
+        const contextInfo = new ContextInfo();
+        contextInfo.name = "Test";
+        contextInfo.contextId = "test-instance";
+
+        _counters.setReferences(References.fromTuples(
+            new Descriptor("pip-services", "context-info", "default", "default", "1.0"), contextInfo
+        ));
+    });
+
+    test('Simple Counters', async () => {
+        _counters.last("Test.LastValue", 123);
+        _counters.last("Test.LastValue", 123456);
+        _counters.incrementOne("Test.Increment");
+        _counters.increment("Test.Increment", 3);
+        _counters.stats("Test.Statistics", 1);
+        _counters.stats("Test.Statistics", 2);
+        _counters.stats("Test.Statistics", 3);
+
+        _counters.dump();
+
+        assert.lengthOf(_lines, 1);
+        let line = JSON.parse(_lines[0]);
+        let directive = line._aws.CloudWatchMetrics[0];
+        assert.equal(directive.Namespace, "Test");
+        assert.sameDeepMembers(directive.Dimensions, [["InstanceID"]]);
+        assert.equal(line.InstanceID, "test-instance");
+
+        let units = {};
+        for (let metric of directive.Metrics) {
+            units[metric.Name] = metric.Unit;
+        }
+        assert.equal(units["Test.Increment"], "Count");
+        assert.equal(units["Test.LastValue"], "None");
+        assert.equal(line["Test.Increment"], 4);
+        assert.equal(line["Test.LastValue"], 123456);
+        assert.equal(line["Test.Statistics"], 2);
+        assert.equal(units["Test.Statistics.count"], "Count");
+        assert.equal(line["Test.Statistics.count"], 3);
+        assert.equal(line["Test.Statistics.min"], 1);
+        assert.equal(line["Test.Statistics.max"], 3);
+    });
+
+    test('Default Namespace and Dimensions', async () => {
+        let counters = new CloudWatchEmfCounters((line) => _lines.push(line));
+        counters.incrementOne("Test.Increment");
+
+        counters.dump();
+
+        assert.lengthOf(_lines, 1);
+        let line = JSON.parse(_lines[0]);
+        let directive = line._aws.CloudWatchMetrics[0];
+        assert.isString(directive.Namespace);
+        assert.sameDeepMembers(directive.Dimensions, [[]]);
+        assert.isUndefined(line.InstanceID);
+        assert.equal(line["Test.Increment"], 1);
+    });
+
+    test('Measure Elapsed Time', async () => {
+        let timer = _counters.beginTiming("Test.Elapsed");
+        await new Promise(resolve => setTimeout(resolve, 100));
+        timer.endTiming();
+
+        _counters.dump();
+
+        assert.lengthOf(_lines, 1);
+        let line = JSON.parse(_lines[0]);
+        let metric = line._aws.CloudWatchMetrics[0].Metrics[0];
+        assert.equal(metric.Name, "Test.Elapsed");
+        assert.equal(metric.Unit, "Milliseconds");
+        assert.isTrue(line["Test.Elapsed"] > 50);
+        assert.equal(line["Test.Elapsed.count"], 1);
+        assert.isTrue(line["Test.Elapsed.max"] > 50);
+    });
+
+});
@@ -1,4 +1,9 @@
+const assert = require('chai').assert;
+
 import { ConfigParams } from 'pip-services3-commons-nodex';
+import { ErrorDescriptionFactory } from 'pip-services3-commons-nodex';
+import { NotFoundException } from 'pip-services3-commons-nodex';
+import { LogMessage } from 'pip-services3-components-nodex';
 import { References } from 'pip-services3-commons-nodex';
 import { ContextInfo } from 'pip-services3-components-nodex';
 import { Descriptor } from 'pip-services3-commons-nodex';
@@ -6,6 +11,53 @@ import { Descriptor } from 'pip-services3-commons-nodex';
 import { CloudWatchLogger } from '../../src/log/CloudWatchLogger';
 import { LoggerFixture } from './LoggerFixture';
 
+class TestCloudWatchLogger extends CloudWatchLogger {
+    public formatMessage(message: LogMessage): string {
+        return super.formatMessage(message);
+    }
+}
+
+suite('CloudWatchLogger Formats', ()=> {
+    let message: LogMessage = {
+        time: new Date(),
+        source: "test",
+        level: "ERROR",
+        correlation_id: "123",
+        error: ErrorDescriptionFactory.create(new NotFoundException("123", "NOT_FOUND", "Not found")),
+        message: "Failed"
+    };
+
+    test('Text Format', () => {
+        let logger = new TestCloudWatchLogger();
+
+        let text = logger.formatMessage(message);
+        assert.equal(text, "[test:123:ERROR] Failed: Not found StackTrace: " + message.error.stack_trace);
+    });
+
+    test('JSON Format', () => {
+        let logger = new TestCloudWatchLogger();
+        logger.configure(ConfigParams.fromTuples("format", "json"));
+
+        let contextInfo = new ContextInfo();
+        contextInfo.name = "TestStream";
+        contextInfo.properties = { stage: "test" };
+        logger.setReferences(References.fromTuples(
+            new Descriptor("pip-services", "context-info", "default", "default", "1.0"), contextInfo
+        ));
+
+        let json = JSON.parse(logger.formatMessage(message));
+        assert.equal(json.time, message.time.toISOString());
+        assert.equal(json.level, "ERROR");
+        assert.equal(json.source, "test");
+        assert.equal(json.correlation_id, "123");
+        assert.equal(json.message, "Failed");
+        assert.equal(json.error.code, "NOT_FOUND");
+        assert.equal(json.error.category, "NotFound");
+        assert.equal(json.context.name, "TestStream");
+        assert.equal(json.context.stage, "test");
+    });
+});
+
 suite('CloudWatchLogger', ()=> {
     let _logger: CloudWatchLogger;
     let _fixture: LoggerFixture;
@@ -0,0 +1,70 @@
+const assert = require('chai').assert;
+
+import { ConfigParams } from 'pip-services3-commons-nodex';
+
+import { PayloadOffloader } from '../../src/payloads/PayloadOffloader';
+import { MemoryPayloadStore } from '../../src/payloads/MemoryPayloadStore';
+
+suite('PayloadOffloader', ()=> {
+    let store: MemoryPayloadStore;
+    let offloader: PayloadOffloader;
+
+    setup(() => {
+        store = new MemoryPayloadStore();
+        offloader = new PayloadOffloader();
+        offloader.configure(ConfigParams.fromTuples(
+            'options.payload.threshold', 100,
+            'options.payload.event_threshold', 50
+        ));
+        offloader.setStore(store);
+    });
+
+    test('Keep Small Payloads', async () => {
+        let pointer = await offloader.offload('123', JSON.stringify({ value: 'abc' }), 'RequestResponse', true);
+        assert.isNull(pointer);
+        assert.equal(store.getCount(), 0);
+
+        let value = await offloader.resolve('123', { value: 'abc' });
+        assert.equal(value.value, 'abc');
+    });
+
+    test('Offload Large Payloads', async () => {
+        let data = JSON.stringify({ value: 'x'.repeat(200) });
+
+        let pointer = await offloader.offload('123', data, 'RequestResponse', true);
+        assert.isTrue(offloader.isPointer(pointer));
+        assert.equal(pointer.payload_pointer.size, data.length);
+        assert.equal(store.getCount(), 1);
+
+        let value = await offloader.resolve('123', pointer);
+        assert.equal(value.value.length, 200);
+        assert.equal(store.getCount(), 0);
+    });
+
+    test('Use Event Threshold', async () => {
+        let data = JSON.stringify({ value: 'x'.repeat(60) });
+
+        let pointer = await offloader.offload('123', data, 'RequestResponse', false);
+        assert.isNull(pointer);
+
+        pointer = await offloader.offload('123', data, 'Event', false);
+        assert.isNotNull(pointer);
+
+        // Pointers without cleanup keep the payload for retries
+        await offloader.resolve('123', pointer);
+        assert.equal(store.getCount(), 1);
+    });
+
+    test('Reject Without Store', async () => {
+        offloader.setStore(null);
+
+        let error = null;
+        try {
+            await offloader.offload('123', 'x'.repeat(200), 'RequestResponse', true);
+        } catch (err) {
+            error = err;
+        }
+        assert.equal(error.code, 'PAYLOAD_TOO_LARGE');
+        assert.equal(error.details.limit, 100);
+    });
+});
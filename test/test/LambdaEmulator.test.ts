@@ -0,0 +1,129 @@
+const assert = require('chai').assert;
+const http = require('http');
+
+import { ConfigParams } from 'pip-services3-commons-nodex';
+
+import { LambdaEmulator } from '../../src/test/LambdaEmulator';
+import { TestLambdaClient } from '../../src/test/TestLambdaClient';
+import { DummyClientFixture } from '../DummyClientFixture';
+import { DummyLambdaClient } from '../clients/DummyLambdaClient';
+import { DummyLambdaFunction } from '../containers/DummyLambdaFunction';
+
+suite('LambdaEmulator', ()=> {
+    let port = 9011;
+    let lambda: DummyLambdaFunction;
+    let emulator: LambdaEmulator;
+
+    suiteSetup(async () => {
+        lambda = new DummyLambdaFunction();
+        lambda.configure(ConfigParams.fromTuples(
+            'controller.descriptor', 'pip-services-dummies:controller:default:default:1.0'
+        ));
+        await lambda.open(null);
+
+        emulator = new LambdaEmulator();
+        emulator.configure(ConfigParams.fromTuples(
+            'connection.port', port
+        ));
+        emulator.register('dummy', lambda.getHandler());
+        await emulator.open(null);
+    });
+
+    suiteTeardown(async () => {
+        await emulator.close(null);
+        await lambda.close(null);
+    });
+
+    function invoke(name: string, invocationType: string, body: any): Promise<any> {
+        return invokePath(encodeURIComponent(name), invocationType, body);
+    }
+
+    function invokePath(encodedName: string, invocationType: string, body: any): Promise<any> {
+        return new Promise((resolve, reject) => {
+            let req = http.request({
+                host: 'localhost',
+                port: port,
+                method: 'POST',
+                path: '/2015-03-31/functions/' + encodedName + '/invocations',
+                headers: { 'X-Amz-Invocation-Type': invocationType }
+            }, (res) => {
+                let chunks = [];
+                res.on('data', (chunk) => chunks.push(chunk));
+                res.on('end', () => resolve({
+                    status: res.statusCode,
+                    headers: res.headers,
+                    body: Buffer.concat(chunks).toString('utf8')
+                }));
+            });
+            req.on('error', reject);
+            req.end(JSON.stringify(body));
+        });
+    }
+
+    test('Crud Operations', async () => {
+        let client = new DummyLambdaClient();
+        client.configure(ConfigParams.fromTuples(
+            'connection.region', 'us-east-1',
+            'connection.arn', 'arn:aws:lambda:us-east-1:123456789012:function:dummy',
+            'connection.endpoint', 'http://localhost:' + port,
+            'credential.access_id', 'test',
+            'credential.access_key', 'test'
+        ));
+        await client.open(null);
+
+        try {
+            let fixture = new DummyClientFixture(client);
+            await fixture.testCrudOperations();
+        } finally {
+            await client.close(null);
+        }
+    });
+
+    test('Invocation Types', async () => {
+        let response = await invoke('dummy', 'Event', { cmd: 'get_dummies' });
+        assert.equal(response.status, 202);
+
+        response = await invoke('dummy', 'DryRun', { cmd: 'get_dummies' });
+        assert.equal(response.status, 204);
+
+        response = await invoke('unknown', 'RequestResponse', { cmd: 'get_dummies' });
+        assert.equal(response.status, 404);
+
+        // Malformed function names are rejected without crashing the process
+        response = await invokePath('%E0%A4%A', 'RequestResponse', { cmd: 'get_dummies' });
+        assert.equal(response.status, 400);
+        assert.equal(response.headers['x-amzn-errortype'], 'InvalidParameterValueException');
+    });
+
+    test('Function Errors', async () => {
+        let response = await invoke('dummy', 'RequestResponse', { cmd: 'unknown_action' });
+        assert.equal(response.status, 200);
+        assert.equal(response.headers['x-amz-function-error'], 'Unhandled');
+
+        let error = JSON.parse(response.body);
+        assert.include(error.errorMessage, 'unknown_action');
+
+        // Restore the original exception in the client
+        let client = new TestLambdaClient();
+        client.configure(ConfigParams.fromTuples(
+            'connection.region', 'us-east-1',
+            'connection.arn', 'arn:aws:lambda:us-east-1:123456789012:function:dummy',
+            'connection.endpoint', 'http://localhost:' + port,
+            'credential.access_id', 'test',
+            'credential.access_key', 'test'
+        ));
+        await client.open(null);
+
+        error = null;
+        try {
+            await client.call('unknown_action', '123', {});
+        } catch (err) {
+            error = err;
+        }
+        await client.close(null);
+
+        assert.equal(error.code, 'NO_ACTION');
+        assert.equal(error.category, 'BadRequest');
+        assert.equal(error.status, 400);
+    });
+});